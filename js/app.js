@@ -5,28 +5,67 @@
  * Handles application state and coordinates user actions.
  */
 
+import { CONFIG } from './config.js';
 import { Auth } from './auth.js';
 import { GitHubAPI } from './github-api.js';
+import { Diff } from './diff.js';
+import { RepoTree } from './repo-tree.js';
+import { FileTypes } from './file-types.js';
+import { SearchIndex } from './search-index.js';
+import { SyncQueue } from './sync-queue.js';
+import { Drafts } from './drafts.js';
+import { RateLimit } from './rate-limit.js';
 import { UI } from './ui.js';
 
 export const App = (function () {
+  // Repositories listed when no filter has been chosen
+  const ALL_AFFILIATIONS = 'owner,collaborator,organization_member';
+
+  // Files downloaded in parallel while building the local search index
+  const INDEX_CONCURRENCY = 4;
+
+  // Unsaved edits are snapshotted to a local draft at most this often (ms)
+  const DRAFT_INTERVAL = 2000;
+
+  // How often a remembered session is checked for inactivity (ms)
+  const IDLE_CHECK_INTERVAL = 60 * 1000;
+
   // Application state
   const state = {
     user: null,
     repositories: [],
-    currentRepo: null, // { owner, name, fullName }
+    repoAffiliation: null, // Repository list filter (GitHub's affiliation parameter)
+    currentRepo: null, // { owner, name, fullName, defaultBranch }
+    currentBranch: null,
+    branches: [],
     currentPath: '',
-    currentFile: null, // { path, sha, content, originalContent }
+    currentFile: null, // { path, sha, content, originalContent, baseContent } - baseContent: see queueOfflineEdit
+    viewingVersion: null, // { sha, editorContent } - historical version shown read-only
     contents: [],
-    fileHistory: [],
+    tree: null, // { items, truncated } - full repository tree, null if unavailable
+    treeExpanded: new Set(), // Folder paths expanded in the tree view
+    fileHistory: [], // Loaded commits of the open file, newest first
+    fileHistoryCursor: null, // Cursor for the next page of history, null when it's all loaded
+    fileHistoryLoading: false,
+    pullRequests: [],
     isModified: false,
+    isSyncing: false, // Queued offline edits are being committed
   };
 
+  // Pending draft snapshot of the open document
+  let draftTimer = null;
+
+  // The last draft snapshot failed (the user has been told, until a snapshot works again)
+  let draftFailed = false;
+
   /**
    * Handler for beforeunload event - warns user about unsaved changes
    */
   function handleBeforeUnload(e) {
     if (state.isModified) {
+      // Keep the latest edits in the draft in case the user leaves anyway
+      saveDraft();
+
       // Standard way to trigger the browser's "unsaved changes" dialog
       e.preventDefault();
       e.returnValue = ''; // Required for Chrome
@@ -41,24 +80,56 @@ export const App = (function () {
     // Initialize UI with event callbacks
     UI.init({
       onLogin: handleLogin,
+      onDeviceLogin: handleDeviceLogin,
+      onTokenLogin: handleTokenLogin,
       onLogout: handleLogout,
+      onAccountSwitch: handleAccountSwitch,
+      onAddAccount: handleAddAccount,
+      onCancelLogin: handleCancelLogin,
       onRepoSelect: handleRepoSelect,
+      onRepoFilterChange: handleRepoFilterChange,
       onCreateRepo: handleCreateRepo,
+      onBranchSelect: handleBranchSelect,
+      onCreateBranch: handleCreateBranch,
       onNavigate: handleNavigate,
+      onTreeToggle: handleTreeToggle,
       onCreateFolder: handleCreateFolder,
       onCreateFile: handleCreateFile,
       onFileSelect: handleFileSelect,
       onFileDelete: handleFileDeleteRequest,
+      onFolderDelete: handleFolderDeleteRequest,
+      onMovePath: handleMovePath,
+      onUploadFiles: handleUploadFiles,
       onEditorChange: handleEditorChange,
+      onResolveUrl: resolvePreviewUrl,
       onSaveFile: handleSaveFile,
       onConfirmDelete: handleConfirmDelete,
       onVersionSelect: handleVersionSelect,
+      onVersionView: handleViewVersion,
+      onRestoreVersion: handleRestoreRequest,
+      onExitVersion: handleExitVersion,
+      onLoadMoreHistory: handleLoadMoreHistory,
+      onSearch: handleSearch,
+      onSearchResultSelect: handleSearchResultSelect,
       onRefresh: handleRefresh,
     });
 
     // Add warning when leaving page with unsaved changes
     window.addEventListener('beforeunload', handleBeforeUnload);
 
+    // Show the remaining API quota in the header
+    RateLimit.onChange(handleRateLimitChange);
+
+    // Commit edits saved offline once the connection is back
+    UI.setOfflineStatus(!navigator.onLine);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', () => UI.setOfflineStatus(true));
+
+    // Remembered sessions end after a period of inactivity, and on logout in another tab
+    ['pointerdown', 'keydown'].forEach((type) => document.addEventListener(type, Auth.recordActivity));
+    setInterval(handleIdleCheck, IDLE_CHECK_INTERVAL);
+    Auth.onRemoteLogout(handleRemoteLogout);
+
     // Check for OAuth callback
     try {
       UI.showLoading('Authenticating...');
@@ -74,7 +145,8 @@ export const App = (function () {
       UI.showToast(error.message || 'Authentication failed', 'error');
     }
 
-    // Check if already authenticated
+    // Check if already authenticated (in this tab, or remembered from an earlier session)
+    await Auth.restoreSession();
     if (Auth.isAuthenticated()) {
       await loadDashboard();
     } else {
@@ -92,41 +164,254 @@ export const App = (function () {
 
       // Get user info
       state.user = await GitHubAPI.getUser();
-      UI.showUserInfo(state.user);
+      showAccounts();
 
-      // Get repositories
-      state.repositories = await GitHubAPI.listRepositories();
-      UI.renderRepositories(state.repositories);
+      // Get repositories (with the filter chosen last time)
+      state.repoAffiliation = localStorage.getItem(CONFIG.STORAGE_KEYS.REPO_AFFILIATION) || ALL_AFFILIATIONS;
+      state.repositories = await GitHubAPI.listRepositories({ affiliation: state.repoAffiliation });
+      UI.renderRepositories(state.repositories, { affiliation: state.repoAffiliation });
 
       UI.showDashboardView();
       UI.hideLoading();
     } catch (error) {
       console.error('Failed to load dashboard:', error);
       UI.hideLoading();
+
+      // Nothing cached yet: wait for the connection instead of logging out
+      if (GitHubAPI.isNetworkError(error)) {
+        state.user = null;
+        UI.showToast('You are offline. Your data will load when you reconnect.', 'error');
+        return;
+      }
+
       UI.showToast('Failed to load data. Please try logging in again.', 'error');
       handleLogout();
+      return;
     }
+
+    syncQueuedEdits();
   }
 
   // ===== Event Handlers =====
 
   /**
    * Handle login button click
+   * @param {Object} options - { remember }
+   */
+  function handleLogin(options) {
+    Auth.initiateLogin(options);
+  }
+
+  /**
+   * Handle login with the OAuth device flow
+   * Shows the user code until the user has authorized the app on GitHub (or closes the dialog)
+   * @param {Object} options - { remember }
+   */
+  async function handleDeviceLogin(options) {
+    const controller = new AbortController();
+
+    try {
+      UI.showLoading('Requesting a device code...');
+      await Auth.loginWithDevice({
+        remember: options.remember,
+        signal: controller.signal,
+        onCode: (device) => {
+          UI.hideLoading();
+          UI.showDeviceCode(device, () => controller.abort());
+        },
+      });
+    } catch (error) {
+      UI.hideLoading();
+      if (error.name === 'AbortError') return;
+
+      console.error('Device login failed:', error);
+      UI.hideModal();
+      UI.showToast(error.message || 'Device login failed', 'error');
+      return;
+    }
+
+    UI.hideModal();
+    await openActiveAccount();
+  }
+
+  /**
+   * Handle login with a personal access token
+   * @param {string} token - Pasted token
+   * @param {Object} options - { remember }
+   */
+  async function handleTokenLogin(token, options) {
+    try {
+      UI.showLoading('Checking token...');
+      await Auth.loginWithToken(token, options);
+    } catch (error) {
+      console.error('Token login failed:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Token login failed', 'error');
+      return;
+    }
+
+    await openActiveAccount();
+  }
+
+  /**
+   * Show the dashboard of the account that just became active (after logging in, switching or logging out)
+   */
+  async function openActiveAccount() {
+    // Unsaved edits of the previous account are kept in its drafts
+    saveDraft();
+    resetState();
+    UI.hideEditor();
+    UI.clearRepository();
+
+    // The page isn't reloaded as after an OAuth login, so restore what logging out removed
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    UI.setRateLimit(RateLimit.getStatus(Auth.getActiveAccount()));
+    await loadDashboard();
+  }
+
+  /**
+   * Show the active user and the account switcher in the header
+   */
+  function showAccounts() {
+    UI.showUserInfo(state.user, { scopes: Auth.getScopes(), accounts: Auth.getAccounts() });
+  }
+
+  /**
+   * Show quota changes of the active account in the header
+   * @param {Object} status - { account, quota, waitingUntil } from RateLimit
+   */
+  function handleRateLimitChange(status) {
+    if (status.account === Auth.getActiveAccount()) {
+      UI.setRateLimit(status);
+    }
+  }
+
+  /**
+   * Handle the choice of another account in the account switcher
+   * @param {string} login - Account login
+   */
+  async function handleAccountSwitch(login) {
+    if (state.isModified && !confirm('You have unsaved changes. They will be kept as a draft. Switch accounts?')) {
+      return;
+    }
+
+    Auth.switchAccount(login);
+    await openActiveAccount();
+  }
+
+  /**
+   * Show the login view to log in with another account
    */
-  function handleLogin() {
-    Auth.initiateLogin();
+  function handleAddAccount() {
+    UI.showLoginView({ canCancel: true });
   }
 
   /**
-   * Handle logout button click
+   * Go back to the dashboard without adding an account
+   */
+  function handleCancelLogin() {
+    UI.showDashboardView();
+  }
+
+  /**
+   * Handle logout button click (logs out the active account)
    */
   function handleLogout() {
     // Remove beforeunload listener since we're logging out
     window.removeEventListener('beforeunload', handleBeforeUnload);
+    GitHubAPI.clearCache();
     Auth.logout();
     resetState();
+    UI.hideEditor();
+
+    // Carry on with another logged-in account, if there is one
+    if (Auth.isAuthenticated()) {
+      openActiveAccount();
+      return;
+    }
+    UI.showLoginView();
+  }
+
+  /**
+   * Handle a logout in another tab (Auth has already removed the account from this tab)
+   * @param {string} login - Login of the account that logged out
+   */
+  function handleRemoteLogout(login) {
+    // Another account is active here: only the switcher changes
+    if (state.user && state.user.login !== login) {
+      showAccounts();
+      return;
+    }
+
+    // Keep unsaved edits as a draft, they can be recovered after logging in again
+    saveDraft();
+    resetState();
+    UI.hideModal();
+    UI.hideEditor();
+    UI.showToast(`${login} was logged out in another tab`, 'info');
+
+    if (Auth.isAuthenticated()) {
+      openActiveAccount();
+      return;
+    }
+    window.removeEventListener('beforeunload', handleBeforeUnload);
     UI.showLoginView();
+  }
+
+  /**
+   * Log out remembered sessions that have been idle too long (with every other account of this tab)
+   */
+  function handleIdleCheck() {
+    if (!Auth.isAuthenticated() || !Auth.isIdle()) return;
+
+    saveDraft();
+    window.removeEventListener('beforeunload', handleBeforeUnload);
+    Auth.getAccounts().forEach(({ login }) => {
+      GitHubAPI.clearCache(login);
+      Auth.logout(login);
+    });
+    resetState();
+    UI.hideModal();
     UI.hideEditor();
+    UI.showLoginView();
+    UI.showToast('You were logged out after a period of inactivity', 'info');
+  }
+
+  /**
+   * Handle the browser coming back online
+   */
+  async function handleOnline() {
+    UI.setOfflineStatus(false);
+
+    // The dashboard couldn't load while offline
+    if (!state.user && Auth.isAuthenticated()) {
+      await loadDashboard();
+      return;
+    }
+
+    await syncQueuedEdits();
+  }
+
+  /**
+   * Handle a change of the repository list filter
+   * @param {string} affiliation - Comma-separated list of owner, collaborator, organization_member
+   */
+  async function handleRepoFilterChange(affiliation) {
+    try {
+      UI.showLoading('Loading repositories...');
+
+      state.repositories = await GitHubAPI.listRepositories({ affiliation });
+      state.repoAffiliation = affiliation;
+      localStorage.setItem(CONFIG.STORAGE_KEYS.REPO_AFFILIATION, affiliation);
+
+      UI.renderRepositories(state.repositories, { affiliation });
+      UI.hideLoading();
+    } catch (error) {
+      console.error('Failed to load repositories:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to load repositories', 'error');
+      UI.renderRepositories(state.repositories, { affiliation: state.repoAffiliation });
+    }
   }
 
   /**
@@ -145,7 +430,11 @@ export const App = (function () {
     }
 
     const [owner, name] = fullName.split('/');
-    state.currentRepo = { owner, name, fullName };
+    const repo = state.repositories.find((r) => r.full_name === fullName);
+    const defaultBranch = repo?.default_branch || 'main';
+
+    state.currentRepo = { owner, name, fullName, defaultBranch };
+    state.currentBranch = defaultBranch;
     state.currentPath = '';
     state.currentFile = null;
     state.isModified = false;
@@ -153,7 +442,76 @@ export const App = (function () {
     UI.selectRepository(fullName);
     UI.hideEditor();
 
+    state.treeExpanded = loadTreeExpansion(fullName);
+
+    await loadBranches();
+    await loadTree();
+    await loadContents();
+  }
+
+  /**
+   * Handle branch selection
+   * @param {string} branch - Branch name
+   */
+  async function handleBranchSelect(branch) {
+    if (!state.currentRepo || !branch || branch === state.currentBranch) return;
+
+    // Check for unsaved changes
+    if (state.isModified) {
+      if (!confirm('You have unsaved changes. Are you sure you want to switch branches?')) {
+        UI.selectBranch(state.currentBranch);
+        return;
+      }
+    }
+
+    // Stay in the same folder and keep the open document if it exists on the new branch
+    const openPath = state.currentFile?.path;
+
+    state.currentBranch = branch;
+    state.currentFile = null;
+    state.isModified = false;
+
+    UI.selectBranch(branch);
+    UI.hideEditor();
+
+    await loadTree();
     await loadContents();
+
+    if (openPath && state.contents.some((item) => item.path === openPath)) {
+      await handleFileSelect(openPath);
+    }
+  }
+
+  /**
+   * Handle create branch
+   * @param {string} name - Name of the new branch (created from the current branch)
+   */
+  async function handleCreateBranch(name) {
+    if (!state.currentRepo) return;
+
+    try {
+      UI.showLoading('Creating branch...');
+
+      await GitHubAPI.createBranch(state.currentRepo.owner, state.currentRepo.name, name, state.currentBranch);
+
+      // Optimistically add the branch to state
+      // (GitHub API may have latency before it appears in listBranches)
+      if (!state.branches.some((b) => b.name === name)) {
+        state.branches.push({ name });
+      }
+
+      // Switch to the new branch. Its content is identical to the branch it was
+      // created from, so the open document and any unsaved edits carry over.
+      state.currentBranch = name;
+      UI.renderBranches(state.branches, name);
+
+      UI.hideLoading();
+      UI.showToast(`Branch "${name}" created!`, 'success');
+    } catch (error) {
+      console.error('Failed to create branch:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to create branch', 'error');
+    }
   }
 
   /**
@@ -204,9 +562,32 @@ export const App = (function () {
     state.isModified = false;
     UI.hideEditor();
 
+    // Reveal the folder in the tree view
+    if (path) {
+      for (let folder = path; folder; folder = RepoTree.parentPath(folder)) {
+        state.treeExpanded.add(folder);
+      }
+      saveTreeExpansion();
+    }
+
     await loadContents();
   }
 
+  /**
+   * Handle expanding or collapsing a folder in the tree view
+   * @param {string} path - Folder path
+   */
+  function handleTreeToggle(path) {
+    if (state.treeExpanded.has(path)) {
+      state.treeExpanded.delete(path);
+    } else {
+      state.treeExpanded.add(path);
+    }
+
+    saveTreeExpansion();
+    renderTree();
+  }
+
   /**
    * Handle create folder
    * @param {string} name - Folder name
@@ -219,7 +600,13 @@ export const App = (function () {
 
       const folderPath = state.currentPath ? `${state.currentPath}/${name}` : name;
 
-      await GitHubAPI.createFolder(state.currentRepo.owner, state.currentRepo.name, folderPath);
+      const result = await GitHubAPI.createFolder(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        folderPath,
+        state.currentBranch
+      );
+      applyTreeChanges([{ path: result.content.path, sha: result.content.sha }]);
 
       // Optimistically add the folder to state.contents
       // (GitHub API may have latency before it appears in getContents)
@@ -257,8 +644,10 @@ export const App = (function () {
         state.currentRepo.owner,
         state.currentRepo.name,
         filePath,
-        `# ${name.replace('.md', '')}\n\nStart writing here...\n`,
-        `Create ${name}`
+        FileTypes.getTemplate(name),
+        `Create ${name}`,
+        null,
+        state.currentBranch
       );
 
       // Optimistically add the file to state.contents
@@ -271,6 +660,7 @@ export const App = (function () {
       };
       state.contents.push(newFile);
       UI.renderFileList(state.contents, filePath);
+      applyTreeChanges([{ path: filePath, sha: result.content.sha, size: result.content.size }]);
 
       // Open the new file in editor
       await handleFileSelect(filePath);
@@ -284,6 +674,153 @@ export const App = (function () {
     }
   }
 
+  /**
+   * Handle rename/move of a file or folder
+   * @param {string} fromPath - Current path
+   * @param {string} toPath - New path
+   */
+  async function handleMovePath(fromPath, toPath) {
+    if (!state.currentRepo) return;
+
+    const target = toPath.trim().replace(/^\/+|\/+$/g, '').replace(/\/{2,}/g, '/');
+    if (!target || target === fromPath) return;
+
+    const isAffected = (path) => path === fromPath || path.startsWith(`${fromPath}/`);
+    const remap = (path) => target + path.substring(fromPath.length);
+
+    // The open document may be moved along with its folder
+    if (state.isModified && state.currentFile && isAffected(state.currentFile.path)) {
+      if (!confirm('The open document has unsaved changes. Save it before moving. Move anyway and discard them?')) {
+        return;
+      }
+    }
+
+    try {
+      UI.showLoading('Moving...');
+
+      const fromName = fromPath.split('/').pop();
+      const toName = target.split('/').pop();
+      const message =
+        RepoTree.parentPath(fromPath) === RepoTree.parentPath(target)
+          ? `Rename ${fromName} to ${toName}`
+          : `Move ${fromPath} to ${target}`;
+
+      const { moved } = await GitHubAPI.movePath(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        state.currentBranch,
+        fromPath,
+        target,
+        message
+      );
+
+      applyTreeChanges(
+        moved.flatMap((file) => [
+          { path: file.from, delete: true },
+          { path: file.to, sha: file.sha, size: file.size },
+        ])
+      );
+
+      // Keep expanded folders expanded at their new location
+      state.treeExpanded = new Set(
+        Array.from(state.treeExpanded).map((path) => (isAffected(path) ? remap(path) : path))
+      );
+      saveTreeExpansion();
+
+      // Follow the current folder and the open document to their new paths
+      if (isAffected(state.currentPath)) {
+        state.currentPath = remap(state.currentPath);
+      }
+
+      await loadContents();
+
+      if (state.currentFile && isAffected(state.currentFile.path)) {
+        const newPath = remap(state.currentFile.path);
+        state.currentFile = null;
+        state.isModified = false;
+        await handleFileSelect(newPath);
+      }
+
+      UI.hideLoading();
+      UI.showToast(`Moved "${fromName}" to "${target}"`, 'success');
+    } catch (error) {
+      console.error('Failed to move:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to move', 'error');
+    }
+  }
+
+  /**
+   * Handle files dropped onto the file list
+   * A single file is uploaded on its own; several files are committed together.
+   * @param {Array<File>} files - Files to upload into the current folder
+   */
+  async function handleUploadFiles(files) {
+    if (!state.currentRepo || !files || files.length === 0) return;
+
+    const { owner, name } = state.currentRepo;
+    const pathFor = (file) => (state.currentPath ? `${state.currentPath}/${file.name}` : file.name);
+
+    // One request per file, plus reading the branch and writing the tree, commit and ref
+    const action = files.length === 1 ? `Uploading ${files[0].name}` : `Uploading ${files.length} files`;
+    if (!confirmRequestBudget(files.length + 6, action)) return;
+
+    try {
+      UI.showLoading(files.length === 1 ? `Uploading ${files[0].name}...` : `Uploading ${files.length} files...`);
+
+      let commit;
+      if (files.length === 1) {
+        const file = files[0];
+        const path = pathFor(file);
+        const existing = state.contents.find((item) => item.path === path);
+
+        commit = await GitHubAPI.uploadFile(
+          owner,
+          name,
+          path,
+          file,
+          `Upload ${file.name}`,
+          existing?.sha,
+          state.currentBranch
+        );
+      } else {
+        const changes = await Promise.all(
+          files.map(async (file) => ({
+            path: pathFor(file),
+            content: new Uint8Array(await file.arrayBuffer()),
+          }))
+        );
+
+        const message = `Upload ${files.length} files`;
+        commit = await GitHubAPI.commitChanges(owner, name, state.currentBranch, changes, message);
+      }
+
+      // Reload the tree at the upload commit to pick up the new blob SHAs
+      await loadTree(commit.sha);
+
+      if (state.tree) {
+        await loadContents();
+      } else {
+        // Optimistically add the files to state.contents
+        // (GitHub API may have latency before they appear in getContents)
+        files.forEach((file) => {
+          const path = pathFor(file);
+          if (!state.contents.some((item) => item.path === path)) {
+            state.contents.push({ name: file.name, path, type: 'file', sha: null, size: file.size });
+          }
+        });
+        UI.renderFileList(state.contents, state.currentFile?.path);
+      }
+
+      UI.hideLoading();
+      UI.showToast(files.length === 1 ? `Uploaded "${files[0].name}"` : `Uploaded ${files.length} files`, 'success');
+    } catch (error) {
+      console.error('Failed to upload files:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to upload files', 'error');
+    }
+  }
+
   /**
    * Handle file selection
    * @param {string} path - Path to the file
@@ -291,6 +828,12 @@ export const App = (function () {
   async function handleFileSelect(path) {
     if (!state.currentRepo) return;
 
+    // Binary files (images, PDFs, ...) can't be edited, so don't download them
+    if (FileTypes.isBinaryName(path)) {
+      UI.showToast(`"${path.split('/').pop()}" is a binary file and can't be edited here`, 'info');
+      return;
+    }
+
     // Check for unsaved changes
     if (state.isModified && state.currentFile) {
       if (!confirm('You have unsaved changes. Are you sure you want to open another file?')) {
@@ -298,29 +841,67 @@ export const App = (function () {
       }
     }
 
+    // Snapshot the document being left (recovered when it's opened again)
+    saveDraft();
+
     try {
       UI.showLoading('Loading document...');
 
-      const file = await GitHubAPI.getFileContent(state.currentRepo.owner, state.currentRepo.name, path);
+      const queued = await getQueuedEdit(path);
+
+      if (queued) {
+        // An edit saved offline: show it on top of the version it started from,
+        // so committing it detects any remote changes made in the meantime
+        state.currentFile = {
+          path: queued.path,
+          name: queued.name,
+          sha: queued.baseSha,
+          content: queued.content,
+          originalContent: queued.content,
+          baseContent: queued.baseContent,
+        };
+      } else {
+        const file = await GitHubAPI.getFileContent(
+          state.currentRepo.owner,
+          state.currentRepo.name,
+          path,
+          state.currentBranch,
+          { onProgress: showProgress('Loading document...') }
+        );
 
-      state.currentFile = {
-        path: file.path,
-        name: file.name,
-        sha: file.sha,
-        content: file.content,
-        originalContent: file.content,
-      };
+        if (FileTypes.isBinaryContent(file.bytes)) {
+          UI.hideLoading();
+          UI.showToast(`"${file.name}" is a binary file and can't be edited here`, 'info');
+          return;
+        }
+
+        state.currentFile = {
+          path: file.path,
+          name: file.name,
+          sha: file.sha,
+          content: file.content,
+          originalContent: file.content,
+        };
+      }
+      state.viewingVersion = null;
       state.isModified = false;
 
-      UI.showEditor(file.name, file.content);
+      UI.showEditor(state.currentFile.name, state.currentFile.content);
+      if (queued) {
+        UI.setEditorQueued();
+      }
 
-      // Load version history
+      // Load version history and open pull requests
       await loadFileHistory(path);
+      await loadPullRequests(path);
 
-      // Update file list to highlight current file
+      // Update file list and tree to highlight current file
       UI.renderFileList(state.contents, path);
+      renderTree();
 
       UI.hideLoading();
+
+      offerDraftRecovery();
     } catch (error) {
       console.error('Failed to load file:', error);
       UI.hideLoading();
@@ -371,12 +952,14 @@ export const App = (function () {
         state.currentRepo.name,
         path,
         `Delete ${path.split('/').pop()}`,
-        sha
+        sha,
+        state.currentBranch
       );
 
       // Optimistically remove the file from state.contents
       // (GitHub API may have latency before it disappears from getContents)
       state.contents = state.contents.filter((item) => item.path !== path);
+      applyTreeChanges([{ path, delete: true }]);
 
       // If we deleted the currently open file, close the editor
       if (state.currentFile && state.currentFile.path === path) {
@@ -397,61 +980,224 @@ export const App = (function () {
   }
 
   /**
-   * Handle confirmation of delete from editor delete button
+   * Handle folder delete request (shows confirmation with the number of files)
+   * @param {string} path - Path to the folder
    */
-  async function handleConfirmDelete() {
-    if (!state.currentFile || !state.currentRepo) return;
+  async function handleFolderDeleteRequest(path) {
+    if (!state.currentRepo) return;
 
-    await handleDeleteFile(state.currentFile.path, state.currentFile.sha);
+    let files;
+    try {
+      if (state.tree && !state.tree.truncated) {
+        files = RepoTree.listDescendantFiles(state.tree.items, path);
+      } else {
+        // The loaded tree is incomplete: list the folder itself, so the count is complete
+        UI.showLoading('Counting files...');
+        const { owner, name } = state.currentRepo;
+        const entries = await GitHubAPI.listFolder(owner, name, state.currentBranch, path);
+        files = entries.filter((entry) => entry.type === 'blob');
+        UI.hideLoading();
+      }
+    } catch (error) {
+      console.error('Failed to list folder contents:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to list folder contents', 'error');
+      return;
+    }
+
+    UI.showDeleteFolderModal(
+      path,
+      files.map((file) => file.path),
+      () => handleDeleteFolder(path)
+    );
   }
 
   /**
-   * Handle editor content change
+   * Handle recursive folder deletion
+   * @param {string} path - Path to the folder
    */
-  function handleEditorChange() {
-    if (!state.currentFile) return;
+  async function handleDeleteFolder(path) {
+    if (!state.currentRepo) return;
 
-    const currentContent = UI.getEditorContent();
-    const isModified = currentContent !== state.currentFile.originalContent;
+    const isInside = (p) => p === path || p.startsWith(`${path}/`);
 
-    if (isModified !== state.isModified) {
-      state.isModified = isModified;
-      if (isModified) {
+    if (state.isModified && state.currentFile && isInside(state.currentFile.path)) {
+      if (!confirm('The open document is inside this folder and has unsaved changes. Delete anyway?')) {
+        return;
+      }
+    }
+
+    try {
+      UI.showLoading('Deleting folder...');
+
+      const { deleted } = await GitHubAPI.deleteFolder(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        state.currentBranch,
+        path,
+        `Delete folder ${path}`
+      );
+
+      applyTreeChanges(deleted.map((file) => ({ path: file, delete: true })));
+
+      // Optimistically remove the folder from state.contents
+      // (GitHub API may have latency before it disappears from getContents)
+      state.contents = state.contents.filter((item) => item.path !== path);
+
+      // Close the editor if the open document was inside the folder
+      if (state.currentFile && isInside(state.currentFile.path)) {
+        state.currentFile = null;
+        state.isModified = false;
+        UI.hideEditor();
+      }
+
+      // Leave the folder if we were browsing inside it
+      if (isInside(state.currentPath)) {
+        state.currentPath = RepoTree.parentPath(path);
+        await loadContents();
+      } else {
+        UI.renderFileList(state.contents, state.currentFile?.path);
+      }
+
+      UI.hideLoading();
+      UI.showToast(`Deleted folder "${path.split('/').pop()}" (${deleted.length} files)`, 'success');
+    } catch (error) {
+      console.error('Failed to delete folder:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to delete folder', 'error');
+    }
+  }
+
+  /**
+   * Handle confirmation of delete from editor delete button
+   */
+  async function handleConfirmDelete() {
+    if (!state.currentFile || !state.currentRepo) return;
+
+    await handleDeleteFile(state.currentFile.path, state.currentFile.sha);
+  }
+
+  /**
+   * Handle editor content change
+   */
+  function handleEditorChange() {
+    if (!state.currentFile) return;
+
+    const currentContent = UI.getEditorContent();
+    const isModified = currentContent !== state.currentFile.originalContent;
+
+    if (isModified !== state.isModified) {
+      state.isModified = isModified;
+      if (isModified) {
         UI.setEditorModified();
+      } else if (state.currentFile.baseContent !== undefined) {
+        UI.setEditorQueued();
       } else {
         UI.setEditorSaved();
       }
     }
+
+    if (isModified && !draftTimer) {
+      draftTimer = setTimeout(saveDraft, DRAFT_INTERVAL);
+    }
+  }
+
+  /**
+   * Resolve a relative link or image in the Markdown preview to a GitHub URL
+   * Paths are relative to the open file, on the current branch.
+   * @param {string} url - Relative URL from the document
+   * @param {string} kind - 'link' or 'image'
+   * @returns {string} Absolute URL
+   */
+  function resolvePreviewUrl(url, kind) {
+    if (!state.currentRepo || !state.currentFile) return url;
+
+    // Keep any query string or #fragment as-is
+    const [, pathPart, suffix] = url.match(/^([^?#]*)(.*)$/);
+    let relativePath = pathPart;
+    try {
+      relativePath = decodeURIComponent(pathPart);
+    } catch (error) {
+      // Not percent-encoded; use it as written
+    }
+
+    const path = RepoTree.resolvePath(RepoTree.parentPath(state.currentFile.path), relativePath);
+    const encode = (value) => value.split('/').map(encodeURIComponent).join('/');
+
+    // Images load from /raw/ (the file itself); links open GitHub's file view
+    const view = kind === 'image' ? 'raw' : 'blob';
+    const { owner, name } = state.currentRepo;
+    return `https://github.com/${owner}/${name}/${view}/${encode(state.currentBranch)}/${encode(path)}${suffix}`;
   }
 
   /**
    * Handle save file
    * @param {string} message - Commit message
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.propose - Propose the change as a pull request instead of committing it
    */
-  async function handleSaveFile(message) {
+  async function handleSaveFile(message, options = {}) {
     if (!state.currentFile || !state.currentRepo) return;
 
+    const content = UI.getEditorContent();
+
+    // Catch broken JSON/YAML before it reaches the repository
+    const problem = FileTypes.validate(FileTypes.getMode(state.currentFile.name), content);
+    if (problem && !confirm(`${problem}\n\nSave anyway?`)) {
+      return;
+    }
+
+    if (options.propose) {
+      await handleProposeChange(message);
+      return;
+    }
+
     try {
       UI.showLoading('Saving document...');
 
-      const content = UI.getEditorContent();
-
-      const result = await GitHubAPI.createOrUpdateFile(
-        state.currentRepo.owner,
-        state.currentRepo.name,
-        state.currentFile.path,
-        content,
-        message,
-        state.currentFile.sha
-      );
+      let result;
+      try {
+        result = await GitHubAPI.createOrUpdateFile(
+          state.currentRepo.owner,
+          state.currentRepo.name,
+          state.currentFile.path,
+          content,
+          message,
+          state.currentFile.sha,
+          state.currentBranch
+        );
+      } catch (error) {
+        // 409 means our SHA is stale: someone else changed the file since we loaded it
+        if (error.status === 409) {
+          await handleSaveConflict(content, message);
+          return;
+        }
+        // No connection: keep the edit on this device and commit it later
+        if (GitHubAPI.isNetworkError(error)) {
+          await queueOfflineEdit(content, message);
+          return;
+        }
+        throw error;
+      }
 
       // Update state with new SHA
+      applyTreeChanges([{ path: state.currentFile.path, sha: result.content.sha, size: result.content.size }]);
       state.currentFile.sha = result.content.sha;
       state.currentFile.content = content;
       state.currentFile.originalContent = content;
       state.isModified = false;
 
       UI.setEditorSaved();
+      discardDraft();
+
+      // Any edit queued offline is now committed
+      delete state.currentFile.baseContent;
+      await removeQueuedEdit(state.currentFile.path);
+
+      // Keep the local search index current (not critical if it fails)
+      SearchIndex.updateDocument(getSearchIndexKey(), state.currentFile.path, result.content.sha, content).catch(
+        (error) => console.error('Failed to update search index:', error)
+      );
 
       // Reload file history
       await loadFileHistory(state.currentFile.path);
@@ -469,35 +1215,238 @@ export const App = (function () {
   }
 
   /**
-   * Handle version selection from history
-   * @param {string} sha - Commit SHA to view
+   * Handle "Propose change" save mode
+   * Commits the edit to a new branch and opens a pull request against the current branch,
+   * leaving the current branch untouched.
+   * @param {string} message - Commit message (also used as the pull request title)
+   */
+  async function handleProposeChange(message) {
+    const { owner, name } = state.currentRepo;
+    const file = state.currentFile;
+
+    try {
+      UI.showLoading('Proposing change...');
+
+      const content = UI.getEditorContent();
+      const slug = file.name
+        .replace(/\.[^.]+$/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+      const branch = `propose/${slug || 'document'}-${Date.now().toString(36)}`;
+
+      const latest = await GitHubAPI.getContents(owner, name, file.path, state.currentBranch);
+      if (latest.sha !== file.sha) {
+        throw new Error('This document changed on GitHub since you opened it. Save directly to merge, or reload it.');
+      }
+
+      // The branch is only created once the commit exists, so a failure leaves nothing behind
+      await GitHubAPI.commitChanges(owner, name, state.currentBranch, [{ path: file.path, content }], message, {
+        newBranch: branch,
+      });
+
+      let pull;
+      try {
+        pull = await GitHubAPI.createPullRequest(owner, name, {
+          title: message,
+          head: branch,
+          base: state.currentBranch,
+          body: `Proposed change to \`${file.path}\`.`,
+        });
+      } catch (error) {
+        // Don't leave an orphaned proposal branch behind
+        await GitHubAPI.deleteBranch(owner, name, branch).catch((cleanupError) => {
+          console.error('Failed to delete proposal branch:', cleanupError);
+        });
+        throw error;
+      }
+
+      // The edit now lives on the proposal branch; the current branch still has the original
+      file.content = file.originalContent;
+      state.isModified = false;
+      discardDraft();
+      UI.showEditor(file.name, file.originalContent);
+
+      await loadPullRequests(file.path);
+
+      UI.hideLoading();
+      UI.showToast(`Pull request #${pull.number} opened for review`, 'success');
+    } catch (error) {
+      console.error('Failed to propose change:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to propose change', 'error');
+    }
+  }
+
+  /**
+   * Handle a save rejected because the file changed remotely
+   * Runs a three-way merge of the loaded version (base), the editor content (ours)
+   * and the latest remote version (theirs). Clean merges are committed right away;
+   * otherwise the conflict view lets the user resolve them.
+   * @param {string} content - Editor content that failed to save
+   * @param {string} message - Commit message
+   */
+  async function handleSaveConflict(content, message) {
+    UI.showLoading('Merging with remote changes...');
+
+    const remote = await GitHubAPI.getFileContent(
+      state.currentRepo.owner,
+      state.currentRepo.name,
+      state.currentFile.path,
+      state.currentBranch
+    );
+
+    // An edit saved offline started from baseContent, not from the queued content
+    const base = state.currentFile.baseContent ?? state.currentFile.originalContent;
+    const merge = Diff.merge3(base, content, remote.content, {
+      ours: 'Your changes',
+      theirs: 'Remote changes',
+    });
+
+    if (merge.clean) {
+      UI.showToast('The document changed on GitHub. Your edits were merged automatically.', 'info');
+      adoptRemoteVersion(remote, merge.content);
+      await handleSaveFile(message);
+      return;
+    }
+
+    UI.hideLoading();
+    UI.showConflictView(
+      {
+        ours: content,
+        theirs: remote.content,
+        merged: merge.content,
+        conflicts: merge.conflicts,
+      },
+      {
+        onResolve: async (resolved) => {
+          adoptRemoteVersion(remote, resolved);
+          await handleSaveFile(message);
+        },
+        onUseRemote: async () => {
+          // Discards any edit queued offline as well
+          await removeQueuedEdit(state.currentFile.path);
+          adoptRemoteVersion(remote, remote.content);
+          await loadFileHistory(state.currentFile.path);
+        },
+      }
+    );
+  }
+
+  /**
+   * Make a freshly fetched remote version the base of the open document
+   * @param {Object} remote - File object from GitHubAPI.getFileContent
+   * @param {string} editorContent - Content to show in the editor
+   */
+  function adoptRemoteVersion(remote, editorContent) {
+    state.currentFile.sha = remote.sha;
+    state.currentFile.content = editorContent;
+    state.currentFile.originalContent = remote.content;
+    delete state.currentFile.baseContent;
+
+    UI.showEditor(state.currentFile.name, editorContent);
+
+    state.isModified = editorContent !== remote.content;
+    if (state.isModified) {
+      UI.setEditorModified();
+    }
+  }
+
+  /**
+   * Handle version selection from history: show what changed between that version and the editor content
+   * @param {string} sha - Commit SHA of the selected version
    */
   async function handleVersionSelect(sha) {
+    await handleCompareVersions(sha, null);
+  }
+
+  /**
+   * Handle "load more" in the version history (button or scrolling to the end)
+   */
+  async function handleLoadMoreHistory() {
+    if (!state.currentFile || !state.fileHistoryCursor || state.fileHistoryLoading) return;
+
+    const path = state.currentFile.path;
+    state.fileHistoryLoading = true;
+
+    try {
+      const { commits, nextCursor } = await GitHubAPI.getFileHistory(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        path,
+        { cursor: state.fileHistoryCursor }
+      );
+
+      // Ignore the result if another file was opened meanwhile
+      if (state.currentFile?.path !== path) return;
+
+      state.fileHistory = state.fileHistory.concat(commits);
+      state.fileHistoryCursor = nextCursor;
+    } catch (error) {
+      console.error('Failed to load more history:', error);
+      UI.showToast(error.message || 'Failed to load more history', 'error');
+    } finally {
+      state.fileHistoryLoading = false;
+    }
+
+    renderFileHistory(state.viewingVersion?.sha);
+  }
+
+  /**
+   * Show a line and word diff between two versions of the current document
+   * @param {string|null} fromSha - Commit SHA of the old side (null for the editor content)
+   * @param {string|null} toSha - Commit SHA of the new side (null for the editor content)
+   */
+  async function handleCompareVersions(fromSha, toSha) {
+    if (!state.currentFile || !state.currentRepo) return;
+
+    try {
+      UI.showLoading('Comparing versions...');
+
+      const [oldText, newText] = await Promise.all([loadVersionContent(fromSha), loadVersionContent(toSha)]);
+
+      UI.hideLoading();
+      UI.showDiffView(
+        { versions: state.fileHistory, from: fromSha, to: toSha, rows: Diff.compareLines(oldText, newText) },
+        { onCompare: handleCompareVersions, onViewVersion: handleViewVersion, onRestoreVersion: handleRestoreRequest }
+      );
+    } catch (error) {
+      console.error('Failed to compare versions:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to compare versions', 'error');
+    }
+  }
+
+  /**
+   * Show a historical version of the current document, read-only
+   * The editor content (including unsaved changes) is kept and comes back with "Back to Latest".
+   * @param {string} sha - Commit SHA to view
+   */
+  async function handleViewVersion(sha) {
     if (!state.currentFile || !state.currentRepo) return;
 
+    const version = state.fileHistory.find((commit) => commit.sha === sha);
+    if (!version) return;
+
     try {
       UI.showLoading('Loading version...');
 
+      // The file may have had a different name at that commit
       const file = await GitHubAPI.getFileAtCommit(
         state.currentRepo.owner,
         state.currentRepo.name,
-        state.currentFile.path,
-        sha
+        version.path,
+        sha,
+        { onProgress: showProgress('Loading version...') }
       );
 
-      // Update editor with historical content
-      // Note: we keep the original SHA for potential restore
-      state.currentFile.content = file.content;
-
-      UI.showEditor(state.currentFile.name, file.content);
-      UI.renderVersionHistory(state.fileHistory, sha);
-
-      // Mark as modified if content differs from latest
-      const isModified = file.content !== state.currentFile.originalContent;
-      state.isModified = isModified;
-      if (isModified) {
-        UI.setEditorModified();
+      if (!state.viewingVersion) {
+        state.viewingVersion = { editorContent: UI.getEditorContent() };
       }
+      state.viewingVersion.sha = sha;
+
+      UI.showEditor(state.currentFile.name, file.content, { version });
+      renderFileHistory(sha);
 
       UI.hideLoading();
     } catch (error) {
@@ -507,6 +1456,166 @@ export const App = (function () {
     }
   }
 
+  /**
+   * Leave the read-only view and return to the latest version (with any unsaved changes)
+   */
+  function handleExitVersion() {
+    if (!state.currentFile || !state.viewingVersion) return;
+
+    const { editorContent } = state.viewingVersion;
+    state.viewingVersion = null;
+
+    UI.showEditor(state.currentFile.name, editorContent);
+    renderFileHistory();
+    if (state.isModified) {
+      UI.setEditorModified();
+    }
+  }
+
+  /**
+   * Handle restore request for a historical version (shows confirmation)
+   * @param {string} sha - Commit SHA to restore
+   */
+  function handleRestoreRequest(sha) {
+    if (!state.currentFile || !state.currentRepo) return;
+
+    const version = state.fileHistory.find((commit) => commit.sha === sha);
+    if (!version) return;
+
+    UI.showRestoreModal(
+      version,
+      `Restore ${state.currentFile.name} to ${version.shortSha}`,
+      state.isModified,
+      (message) => handleRestoreVersion(sha, message)
+    );
+  }
+
+  /**
+   * Restore the current document to a historical version with a new commit
+   * @param {string} sha - Commit SHA to restore
+   * @param {string} message - Commit message
+   */
+  async function handleRestoreVersion(sha, message) {
+    if (!state.currentFile || !state.currentRepo) return;
+
+    const { owner, name } = state.currentRepo;
+    const file = state.currentFile;
+
+    try {
+      UI.showLoading('Restoring version...');
+
+      const version = await GitHubAPI.getFileAtCommit(owner, name, getVersionPath(sha), sha, {
+        onProgress: showProgress('Restoring version...'),
+      });
+
+      let result;
+      try {
+        // Commit the old version's exact bytes
+        result = await GitHubAPI.createOrUpdateFile(
+          owner,
+          name,
+          file.path,
+          version.bytes,
+          message,
+          file.sha,
+          state.currentBranch
+        );
+      } catch (error) {
+        if (error.status === 409) {
+          throw new Error('This document changed on GitHub since you opened it. Refresh it and try again.');
+        }
+        throw error;
+      }
+
+      applyTreeChanges([{ path: file.path, sha: result.content.sha, size: result.content.size }]);
+      file.sha = result.content.sha;
+      file.content = version.content;
+      file.originalContent = version.content;
+      state.viewingVersion = null;
+      state.isModified = false;
+      discardDraft();
+
+      UI.showEditor(file.name, version.content);
+
+      // Reload file history (the restore is now the latest version)
+      await loadFileHistory(file.path);
+      await loadContents();
+
+      UI.hideLoading();
+      UI.showToast(`Restored to ${sha.substring(0, 7)}`, 'success');
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to restore version', 'error');
+    }
+  }
+
+  /**
+   * Handle a full-text search in the current repository
+   * Uses GitHub code search on the default branch, and the local index otherwise
+   * (or when code search fails).
+   * @param {string} query - Search query
+   */
+  async function handleSearch(query) {
+    if (!state.currentRepo) return;
+
+    const { owner, name, defaultBranch } = state.currentRepo;
+
+    try {
+      UI.showLoading('Searching...');
+
+      let results = null;
+      let source = 'github';
+
+      // Code search only covers the default branch
+      if (state.currentBranch === defaultBranch) {
+        try {
+          results = await GitHubAPI.searchCode(owner, name, query);
+        } catch (error) {
+          console.error('Code search unavailable, using the local index:', error);
+        }
+      }
+
+      if (!results) {
+        results = await searchLocalIndex(query);
+        source = 'local';
+      }
+
+      UI.hideLoading();
+      UI.showSearchResults(query, results, { source });
+    } catch (error) {
+      console.error('Search failed:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Search failed', 'error');
+    }
+  }
+
+  /**
+   * Open a search result at the matching line
+   * @param {string} path - File path
+   * @param {number|null} line - Matching line (null if unknown: the first line containing a search word is used)
+   * @param {string} query - Search query
+   */
+  async function handleSearchResultSelect(path, line, query) {
+    if (state.currentFile?.path !== path) {
+      await handleFileSelect(path);
+    }
+
+    // Opening may have been cancelled or failed
+    if (state.currentFile?.path !== path) return;
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const target =
+      line ||
+      UI.getEditorContent()
+        .split('\n')
+        .findIndex((text) => words.some((word) => text.toLowerCase().includes(word))) + 1;
+
+    if (target > 0) {
+      UI.revealLine(target);
+    }
+  }
+
   /**
    * Handle refresh button click
    */
@@ -515,6 +1624,7 @@ export const App = (function () {
 
     try {
       UI.showLoading('Refreshing...');
+      await loadTree();
       await loadContents();
       UI.hideLoading();
       UI.showToast('Refreshed', 'success');
@@ -527,6 +1637,362 @@ export const App = (function () {
 
   // ===== Helper Functions =====
 
+  /**
+   * Ask before an operation that may run out of API quota partway through
+   * @param {number} requestCount - Approximate number of requests the operation makes
+   * @param {string} action - Description of the operation, e.g. "Uploading 40 files"
+   * @returns {boolean} True if the operation should go ahead
+   */
+  function confirmRequestBudget(requestCount, action) {
+    const quota = RateLimit.getQuota(Auth.getActiveAccount());
+    if (!quota || quota.remaining >= requestCount) return true;
+
+    return confirm(
+      `${action} needs about ${requestCount} GitHub API requests, but only ${quota.remaining} are left ` +
+        `until ${quota.reset.toLocaleTimeString()}. It may stop partway through and wait for the limit to reset.\n\n` +
+        'Continue anyway?'
+    );
+  }
+
+  /**
+   * Get the draft key of a file in the current account, repository and branch
+   * @param {string} path - File path (default: the open document)
+   * @returns {string} Draft key
+   */
+  function getDraftKey(path = state.currentFile.path) {
+    return Drafts.keyFor(state.user.login, state.currentRepo.owner, state.currentRepo.name, state.currentBranch, path);
+  }
+
+  /**
+   * Snapshot the open document's unsaved edits to its local draft
+   */
+  function saveDraft() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+
+    // Historical versions shown read-only aren't edits
+    if (!state.currentFile || !state.isModified || state.viewingVersion) return;
+
+    const saved = Drafts.save(getDraftKey(), UI.getEditorContent(), state.currentFile.sha);
+    if (!saved && !draftFailed) {
+      UI.showToast('Unsaved edits could not be backed up as a draft (browser storage may be full)', 'error');
+    }
+    draftFailed = !saved;
+  }
+
+  /**
+   * Delete the open document's draft (once its edits are saved)
+   */
+  function discardDraft() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+
+    if (state.currentFile) {
+      Drafts.remove(getDraftKey());
+    }
+  }
+
+  /**
+   * Offer to recover a draft left behind for the open document (e.g. by a crashed tab)
+   */
+  function offerDraftRecovery() {
+    const file = state.currentFile;
+    const draft = Drafts.get(getDraftKey());
+    if (!draft) return;
+
+    if (draft.content === file.content) {
+      discardDraft();
+      return;
+    }
+
+    UI.showDraftRecovery(
+      draft,
+      Diff.compareLines(file.content, draft.content),
+      { isOutdated: draft.baseSha !== file.sha },
+      {
+        onRestore: () => restoreDraft(draft),
+        onDiscard: discardDraft,
+      }
+    );
+  }
+
+  /**
+   * Put a recovered draft in the editor as unsaved changes
+   * A draft written against an older version is based on that version again,
+   * so saving it merges the edits with the newer remote changes.
+   * @param {Object} draft - Draft { content, baseSha }
+   */
+  async function restoreDraft(draft) {
+    const file = state.currentFile;
+
+    try {
+      if (draft.baseSha !== file.sha) {
+        UI.showLoading('Restoring draft...');
+        const bytes = await GitHubAPI.getBlob(state.currentRepo.owner, state.currentRepo.name, draft.baseSha);
+        file.sha = draft.baseSha;
+        file.originalContent = new TextDecoder().decode(bytes);
+        delete file.baseContent;
+        UI.hideLoading();
+      }
+
+      file.content = draft.content;
+      state.isModified = draft.content !== file.originalContent;
+
+      UI.showEditor(file.name, draft.content);
+      if (state.isModified) {
+        UI.setEditorModified();
+      }
+      UI.showToast('Draft restored', 'success');
+    } catch (error) {
+      console.error('Failed to restore draft:', error);
+      UI.hideLoading();
+      UI.showToast(error.message || 'Failed to restore draft', 'error');
+    }
+  }
+
+  /**
+   * Keep the open document's edit on this device until it can be committed
+   * The edit stays based on the version it started from (state.currentFile.sha and
+   * baseContent), so committing it later detects changes made on GitHub in the meantime.
+   * @param {string} content - Editor content
+   * @param {string} message - Commit message
+   */
+  async function queueOfflineEdit(content, message) {
+    const file = state.currentFile;
+    const baseContent = file.baseContent ?? file.originalContent;
+
+    await SyncQueue.enqueue({
+      user: state.user.login,
+      owner: state.currentRepo.owner,
+      repo: state.currentRepo.name,
+      branch: state.currentBranch,
+      path: file.path,
+      name: file.name,
+      baseSha: file.sha,
+      baseContent,
+      content,
+      message,
+    });
+
+    file.baseContent = baseContent;
+    file.content = content;
+    file.originalContent = content;
+    state.isModified = false;
+    discardDraft();
+
+    UI.setEditorQueued();
+    UI.hideLoading();
+    UI.showToast(
+      'You are offline. The document was saved on this device and will be committed when you reconnect.',
+      'info'
+    );
+  }
+
+  /**
+   * Get the edit of a file in the current repository and branch that is waiting to be committed
+   * @param {string} path - File path
+   * @returns {Promise<Object|undefined>} Queued edit, if any
+   */
+  async function getQueuedEdit(path) {
+    const { owner, name } = state.currentRepo;
+
+    try {
+      return await SyncQueue.get(state.user.login, owner, name, state.currentBranch, path);
+    } catch (error) {
+      console.error('Failed to read offline edits:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Forget the queued edit of a file in the current repository and branch
+   * @param {string} path - File path
+   */
+  async function removeQueuedEdit(path) {
+    const { owner, name } = state.currentRepo;
+
+    try {
+      await SyncQueue.remove(SyncQueue.keyFor(state.user.login, owner, name, state.currentBranch, path));
+    } catch (error) {
+      console.error('Failed to remove offline edit:', error);
+    }
+  }
+
+  /**
+   * Commit the edits saved while offline
+   * Each edit is committed against the SHA it started from. If the file changed on
+   * GitHub since, the edit stays queued; opening and saving the file merges it.
+   */
+  async function syncQueuedEdits() {
+    if (state.isSyncing || !state.user || !navigator.onLine) return;
+    state.isSyncing = true;
+
+    let synced = 0;
+    let conflicts = 0;
+
+    try {
+      const entries = await SyncQueue.list(state.user.login);
+
+      for (const entry of entries) {
+        // Commits are made as the active account: stop if the user switched accounts meanwhile
+        if (Auth.getActiveAccount() !== entry.user) break;
+
+        let result;
+        try {
+          result = await GitHubAPI.createOrUpdateFile(
+            entry.owner,
+            entry.repo,
+            entry.path,
+            entry.content,
+            entry.message,
+            entry.baseSha,
+            entry.branch
+          );
+        } catch (error) {
+          // Offline again: try the rest next time
+          if (GitHubAPI.isNetworkError(error)) break;
+
+          // The file changed (409) or was deleted (422) on GitHub
+          if (error.status !== 409 && error.status !== 422) {
+            console.error(`Failed to commit offline edit of ${entry.path}:`, error);
+          }
+          conflicts++;
+          continue;
+        }
+
+        await SyncQueue.remove(entry.key);
+        synced++;
+
+        const isCurrentBranch =
+          state.currentRepo?.owner === entry.owner &&
+          state.currentRepo.name === entry.repo &&
+          state.currentBranch === entry.branch;
+        if (!isCurrentBranch) continue;
+
+        applyTreeChanges([{ path: entry.path, sha: result.content.sha, size: result.content.size }]);
+
+        // The open document is now based on the commit that was just made
+        if (state.currentFile?.path === entry.path) {
+          state.currentFile.sha = result.content.sha;
+          delete state.currentFile.baseContent;
+          if (!state.isModified) {
+            UI.setEditorSaved();
+          }
+          await loadFileHistory(entry.path);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to sync offline edits:', error);
+    } finally {
+      state.isSyncing = false;
+    }
+
+    if (synced > 0) {
+      UI.showToast(`Committed ${synced} document${synced === 1 ? '' : 's'} saved offline`, 'success');
+    }
+    if (conflicts > 0) {
+      UI.showToast(
+        `${conflicts} document${conflicts === 1 ? '' : 's'} saved offline could not be committed ` +
+          'because they changed on GitHub. Open and save them to merge your edits.',
+        'error'
+      );
+    }
+  }
+
+  /**
+   * Get the local search index key for the current repository and branch
+   * @returns {string} Index key
+   */
+  function getSearchIndexKey() {
+    return `${state.currentRepo.fullName}@${state.currentBranch}`;
+  }
+
+  /**
+   * Search the local index, first bringing it up to date with the repository tree
+   * Only new and changed files are downloaded.
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Results { path, name, snippets }
+   */
+  async function searchLocalIndex(query) {
+    const { owner, name } = state.currentRepo;
+    const key = getSearchIndexKey();
+    const index = await SearchIndex.load(key);
+
+    if (!state.tree) await loadTree();
+    if (!state.tree) throw new Error('The repository tree could not be loaded for searching');
+
+    const { outdated, removed } = SearchIndex.findChanges(index, state.tree.items);
+    if (!confirmRequestBudget(outdated.length, `Indexing ${outdated.length} documents for search`)) {
+      throw new Error('Search cancelled');
+    }
+    removed.forEach((path) => SearchIndex.removeDocument(index, path));
+
+    // Download new and changed files a few at a time
+    const queue = outdated.slice();
+    let indexed = 0;
+    const indexNext = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+        // The search index keeps the text it needs, so the blobs aren't cached
+        const bytes = await GitHubAPI.getBlob(owner, name, item.sha, { size: item.size, cache: false });
+        const text = FileTypes.isBinaryContent(bytes) ? null : new TextDecoder().decode(bytes);
+        SearchIndex.addDocument(index, item.path, item.sha, text);
+        indexed++;
+        UI.showLoading(`Indexing documents... ${indexed} of ${outdated.length}`);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(INDEX_CONCURRENCY, queue.length) }, indexNext));
+    } finally {
+      // Keep whatever was indexed, even if a download failed
+      if (indexed > 0 || removed.length > 0) {
+        await SearchIndex.save(key, index);
+      }
+    }
+
+    return SearchIndex.search(index, query);
+  }
+
+  /**
+   * Get the content of the current document at a version
+   * @param {string|null} sha - Commit SHA (null for the editor content)
+   * @returns {Promise<string>} Document content
+   */
+  async function loadVersionContent(sha) {
+    if (!sha) {
+      // While a historical version is shown, the editor content is the one set aside
+      return state.viewingVersion ? state.viewingVersion.editorContent : UI.getEditorContent();
+    }
+
+    const { owner, name } = state.currentRepo;
+    const file = await GitHubAPI.getFileAtCommit(owner, name, getVersionPath(sha), sha);
+    return file.content;
+  }
+
+  /**
+   * Get the path the current document had at a commit (it may have been renamed since)
+   * @param {string} sha - Commit SHA from the file history
+   * @returns {string} File path at that commit
+   */
+  function getVersionPath(sha) {
+    const version = state.fileHistory.find((commit) => commit.sha === sha);
+    return version ? version.path : state.currentFile.path;
+  }
+
+  /**
+   * Create a download progress callback that reports through the loading overlay
+   * @param {string} message - Loading message to show
+   * @returns {Function} Progress callback taking (loadedBytes, totalBytes)
+   */
+  function showProgress(message) {
+    return (loaded, total) => {
+      const percent = total > 0 ? Math.floor((loaded / total) * 100) : 0;
+      const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+      UI.showLoading(`${message} ${percent}% (${megabytes(loaded)} of ${megabytes(total)} MB)`);
+    };
+  }
+
   /**
    * Load contents of the current path
    */
@@ -536,23 +2002,29 @@ export const App = (function () {
     try {
       let contents = [];
 
-      try {
-        contents = await GitHubAPI.getContents(
-          state.currentRepo.owner,
-          state.currentRepo.name,
-          state.currentPath
-        );
-
-        // Handle case where getContents returns a file instead of array
-        if (!Array.isArray(contents)) {
-          contents = [];
-        }
-      } catch (error) {
-        // Empty repository or folder
-        if (error.status === 404) {
-          contents = [];
-        } else {
-          throw error;
+      if (state.tree && !state.tree.truncated) {
+        // The full tree is already loaded, so no round trip is needed
+        contents = RepoTree.listChildren(state.tree.items, state.currentPath);
+      } else {
+        try {
+          contents = await GitHubAPI.getContents(
+            state.currentRepo.owner,
+            state.currentRepo.name,
+            state.currentPath,
+            state.currentBranch
+          );
+
+          // Handle case where getContents returns a file instead of array
+          if (!Array.isArray(contents)) {
+            contents = [];
+          }
+        } catch (error) {
+          // Empty repository or folder
+          if (error.status === 404) {
+            contents = [];
+          } else {
+            throw error;
+          }
         }
       }
 
@@ -560,12 +2032,110 @@ export const App = (function () {
 
       UI.renderBreadcrumb(state.currentRepo.name, state.currentPath);
       UI.renderFileList(contents, state.currentFile?.path);
+      renderTree();
     } catch (error) {
       console.error('Failed to load contents:', error);
       UI.showToast('Failed to load folder contents', 'error');
     }
   }
 
+  /**
+   * Load the full file tree of the current branch (or of a specific commit)
+   * Falls back to per-folder loading (state.tree = null) if the tree can't be fetched.
+   * @param {string} ref - Branch or commit SHA (default: current branch)
+   */
+  async function loadTree(ref = state.currentBranch) {
+    if (!state.currentRepo) return;
+
+    try {
+      const tree = await GitHubAPI.getTree(state.currentRepo.owner, state.currentRepo.name, ref, { recursive: true });
+      state.tree = {
+        items: RepoTree.fromGitEntries(tree.entries),
+        truncated: tree.truncated,
+      };
+    } catch (error) {
+      // Empty repositories have no tree yet (GitHub answers 404 or 409)
+      if (error.status === 404 || error.status === 409) {
+        state.tree = { items: [], truncated: false };
+      } else {
+        console.error('Failed to load repository tree:', error);
+        state.tree = null;
+      }
+    }
+
+    renderTree();
+  }
+
+  /**
+   * Apply changes from a write to the loaded tree, so it stays current without refetching
+   * @param {Array<Object>} changes - Changes in RepoTree.applyChanges format
+   */
+  function applyTreeChanges(changes) {
+    if (!state.tree) return;
+
+    state.tree.items = RepoTree.applyChanges(state.tree.items, changes);
+    renderTree();
+  }
+
+  /**
+   * Render the tree view from the current state
+   */
+  function renderTree() {
+    UI.renderTree(state.tree?.items || null, {
+      expanded: state.treeExpanded,
+      currentPath: state.currentPath,
+      currentFile: state.currentFile?.path,
+      truncated: state.tree?.truncated === true,
+    });
+  }
+
+  /**
+   * Read the saved tree expansion state of a repository
+   * @param {string} fullName - Full repository name (owner/repo)
+   * @returns {Set<string>} Expanded folder paths
+   */
+  function loadTreeExpansion(fullName) {
+    try {
+      const saved = localStorage.getItem(`${CONFIG.STORAGE_KEYS.TREE_EXPANDED}:${fullName}`);
+      return new Set(saved ? JSON.parse(saved) : []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  /**
+   * Save the tree expansion state of the current repository
+   */
+  function saveTreeExpansion() {
+    if (!state.currentRepo) return;
+
+    localStorage.setItem(
+      `${CONFIG.STORAGE_KEYS.TREE_EXPANDED}:${state.currentRepo.fullName}`,
+      JSON.stringify(Array.from(state.treeExpanded))
+    );
+  }
+
+  /**
+   * Load the branches of the current repository
+   */
+  async function loadBranches() {
+    if (!state.currentRepo) return;
+
+    try {
+      state.branches = await GitHubAPI.listBranches(state.currentRepo.owner, state.currentRepo.name);
+    } catch (error) {
+      console.error('Failed to load branches:', error);
+      state.branches = [];
+    }
+
+    // Empty repositories have no branches yet, but the default branch is still the write target
+    if (!state.branches.some((b) => b.name === state.currentBranch)) {
+      state.branches.unshift({ name: state.currentBranch });
+    }
+
+    UI.renderBranches(state.branches, state.currentBranch);
+  }
+
   /**
    * Load file history
    * @param {string} path - Path to the file
@@ -573,17 +2143,55 @@ export const App = (function () {
   async function loadFileHistory(path) {
     if (!state.currentRepo) return;
 
+    state.fileHistoryCursor = null;
+
     try {
-      const history = await GitHubAPI.getFileHistory(state.currentRepo.owner, state.currentRepo.name, path);
+      const { commits, nextCursor } = await GitHubAPI.getFileHistory(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        path,
+        { ref: state.currentBranch }
+      );
 
-      state.fileHistory = history;
-      UI.renderVersionHistory(history);
+      state.fileHistory = commits;
+      state.fileHistoryCursor = nextCursor;
+      renderFileHistory();
     } catch (error) {
       console.error('Failed to load file history:', error);
       // Don't show error toast for history - it's not critical
     }
   }
 
+  /**
+   * Render the loaded file history in the version dropdown
+   * @param {string} currentSha - SHA of the version shown in the editor (null for the latest)
+   */
+  function renderFileHistory(currentSha = null) {
+    UI.renderVersionHistory(state.fileHistory, currentSha, { hasMore: Boolean(state.fileHistoryCursor) });
+  }
+
+  /**
+   * Load the open pull requests that touch a file
+   * @param {string} path - Path to the file
+   */
+  async function loadPullRequests(path) {
+    if (!state.currentRepo) return;
+
+    try {
+      state.pullRequests = await GitHubAPI.listPullRequestsForFile(
+        state.currentRepo.owner,
+        state.currentRepo.name,
+        path
+      );
+      UI.renderPullRequests(state.pullRequests);
+    } catch (error) {
+      console.error('Failed to load pull requests:', error);
+      // Don't show error toast for pull requests - they're not critical
+      state.pullRequests = [];
+      UI.renderPullRequests(state.pullRequests);
+    }
+  }
+
   /**
    * Reset application state
    */
@@ -591,10 +2199,18 @@ export const App = (function () {
     state.user = null;
     state.repositories = [];
     state.currentRepo = null;
+    state.currentBranch = null;
+    state.branches = [];
     state.currentPath = '';
     state.currentFile = null;
+    state.viewingVersion = null;
     state.contents = [];
+    state.tree = null;
+    state.treeExpanded = new Set();
     state.fileHistory = [];
+    state.fileHistoryCursor = null;
+    state.fileHistoryLoading = false;
+    state.pullRequests = [];
     state.isModified = false;
   }
 
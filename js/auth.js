@@ -12,13 +12,49 @@
  * 4. GitHub redirects back with authorization code
  * 5. Exchange code + code_verifier for access token via Cloudflare Worker
  * 6. Store token in sessionStorage
+ *
+ * Alternatively, a personal access token (classic or fine-grained) can be pasted
+ * in. It is checked against GitHub and then used exactly like an OAuth token,
+ * which needs no worker (e.g. for local development).
+ *
+ * Where GitHub can't redirect back to the app (localhost, file://, embedded
+ * webviews), the OAuth device flow is used instead: the user enters a code on
+ * github.com while the app polls the worker for the token.
+ *
+ * Tokens of GitHub Apps with expiring user tokens come with a refresh token.
+ * Those are refreshed through the worker shortly before they expire, and once
+ * more if GitHub rejects a request with 401.
+ *
+ * Several accounts (e.g. personal and work) can be logged in at once. Each has
+ * its own session, keyed by login, and its own Octokit instance; requests are
+ * made as the active account unless another one is passed.
+ *
+ * Sessions are per tab by default. With "remember me", a session is also kept
+ * encrypted in IndexedDB (see token-vault.js) and restored in new tabs until
+ * the user logs out or is inactive for CONFIG.SESSION_IDLE_TIMEOUT. Logging out
+ * an account logs it out in every open tab.
  */
 
 import { CONFIG } from './config.js';
+import { RateLimit } from './rate-limit.js';
+import { ResponseCache } from './response-cache.js';
+import { TokenVault } from './token-vault.js';
 
 export const Auth = (function () {
-  // Private: Octokit instance (created after authentication)
-  let octokitInstance = null;
+  // Octokit instance per account (created on first use)
+  const octokitInstances = new Map();
+
+  // Refresh expiring tokens this long before they expire (ms)
+  const REFRESH_MARGIN = 5 * 60 * 1000;
+
+  // Pending token refresh per account, shared by concurrent requests
+  const refreshPromises = new Map();
+
+  // The last activity of a remembered session is recorded at most this often (ms)
+  const ACTIVITY_INTERVAL = 60 * 1000;
+
+  // Tells the other tabs when an account logs out
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('github-backend-auth');
 
   /**
    * Generate a cryptographically secure random string for PKCE
@@ -59,45 +95,435 @@ export const Auth = (function () {
     return generateRandomString(32);
   }
 
+  // ===== Accounts =====
+
+  /**
+   * Read the sessions of the accounts logged in in this tab
+   * @returns {Object} Sessions by login: { accessToken, refreshToken, expiresAt, scopes, avatarUrl, remember }
+   */
+  function readSessions() {
+    try {
+      return JSON.parse(sessionStorage.getItem(CONFIG.STORAGE_KEYS.ACCOUNTS)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Store an account's session, replacing the previous one
+   * @param {string} account - Login
+   * @param {Object} session - Session
+   */
+  function setSession(account, session) {
+    const sessions = readSessions();
+    sessions[account] = session;
+    sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACCOUNTS, JSON.stringify(sessions));
+  }
+
+  /**
+   * Remove an account from this tab
+   * If it was the active account, the next logged-in account (if any) becomes active.
+   * @param {string} account - Login
+   */
+  function removeSession(account) {
+    const sessions = readSessions();
+    delete sessions[account];
+    sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACCOUNTS, JSON.stringify(sessions));
+    octokitInstances.delete(account);
+
+    if (getActiveAccount() === account) {
+      const next = Object.keys(sessions)[0];
+      if (next) {
+        sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT, next);
+      } else {
+        sessionStorage.removeItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT);
+      }
+    }
+  }
+
+  /**
+   * Get an account's session
+   * @param {string} account - Login (default: the active account)
+   * @returns {Object|null} Session, or null if the account isn't logged in
+   */
+  function getSession(account = getActiveAccount()) {
+    return readSessions()[account] || null;
+  }
+
+  /**
+   * Get the login of the active account (the one requests are made as)
+   * @returns {string|null} Login, or null if no account is logged in
+   */
+  function getActiveAccount() {
+    return sessionStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT);
+  }
+
+  /**
+   * List the accounts logged in in this tab
+   * @returns {Array<Object>} Accounts { login, avatarUrl, isActive }
+   */
+  function getAccounts() {
+    const active = getActiveAccount();
+    return Object.entries(readSessions()).map(([login, session]) => ({
+      login,
+      avatarUrl: session.avatarUrl,
+      isActive: login === active,
+    }));
+  }
+
+  /**
+   * Make another logged-in account the active one
+   * @param {string} account - Login
+   */
+  function switchAccount(account) {
+    if (!getSession(account)) {
+      throw new Error(`Not logged in as ${account}`);
+    }
+    sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT, account);
+  }
+
   /**
    * Check if user is currently authenticated
-   * @returns {boolean} True if access token exists in sessionStorage
+   * @returns {boolean} True if an account is active
    */
   function isAuthenticated() {
-    return sessionStorage.getItem(CONFIG.STORAGE_KEYS.ACCESS_TOKEN) !== null;
+    return getSession() !== null;
   }
 
   /**
    * Get the stored access token
+   * @param {string} account - Login (default: the active account)
    * @returns {string|null} Access token or null if not authenticated
    */
-  function getAccessToken() {
-    return sessionStorage.getItem(CONFIG.STORAGE_KEYS.ACCESS_TOKEN);
+  function getAccessToken(account = getActiveAccount()) {
+    return getSession(account)?.accessToken ?? null;
+  }
+
+  /**
+   * Get the access token, refreshing it first if it is about to expire
+   * @param {string} account - Login (default: the active account)
+   * @returns {Promise<string|null>} Access token or null if not authenticated
+   */
+  async function getFreshAccessToken(account = getActiveAccount()) {
+    if (needsRefresh(account)) {
+      await refreshAccessToken(account);
+    }
+    return getAccessToken(account);
+  }
+
+  /**
+   * Get the session fields of a token response (code exchange or refresh)
+   * @param {Object} data - Token response: access_token, plus refresh_token and expires_in for expiring tokens
+   * @returns {Object} { accessToken, refreshToken, expiresAt } (expiresAt in ms since epoch)
+   */
+  function tokenFields(data) {
+    const expires = Boolean(data.refresh_token && data.expires_in);
+    return {
+      accessToken: data.access_token,
+      refreshToken: expires ? data.refresh_token : null,
+      expiresAt: expires ? Date.now() + data.expires_in * 1000 : null,
+    };
+  }
+
+  /**
+   * Add an account from a token response and make it the active account
+   * The token is checked with GET /user first, which also tells whose it is. This one
+   * request uses a plain Octokit instance, since the account's own is keyed by its login.
+   * Classic and OAuth App tokens report their scopes in the x-oauth-scopes header;
+   * fine-grained tokens and GitHub Apps have per-repository permissions instead.
+   * @param {Object} data - Token response
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.remember - Remember the session across tabs and browser restarts
+   * @returns {Promise<Object>} Authenticated user
+   */
+  async function addAccount(data, options = {}) {
+    const { data: user, headers } = await new Octokit({ auth: data.access_token }).users.getAuthenticated();
+
+    setSession(user.login, {
+      ...tokenFields(data),
+      scopes: headers['x-oauth-scopes'] || null,
+      avatarUrl: user.avatar_url,
+      remember: Boolean(options.remember),
+    });
+    sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT, user.login);
+    octokitInstances.delete(user.login);
+
+    if (options.remember) {
+      localStorage.setItem(CONFIG.STORAGE_KEYS.LAST_ACTIVITY, String(Date.now()));
+      await saveRememberedSession(user.login);
+    } else {
+      // Logging in again without "remember me" stops remembering the account
+      await forgetSession(user.login);
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the OAuth scopes of an account's token
+   * @param {string} account - Login (default: the active account)
+   * @returns {Array<string>|null} Scopes, or null if the token has per-repository permissions instead
+   */
+  function getScopes(account = getActiveAccount()) {
+    const scopes = getSession(account)?.scopes;
+    return scopes ? scopes.split(/[\s,]+/).filter(Boolean) : null;
+  }
+
+  // ===== Remembered Sessions =====
+
+  /**
+   * Check whether any account of this tab is remembered across tabs and browser restarts
+   * @returns {boolean} True if a "remember me" session is logged in
+   */
+  function hasRememberedSession() {
+    return Object.values(readSessions()).some((session) => session.remember);
+  }
+
+  /**
+   * Write an account's session to the token vault (failures are logged: the session still works in this tab)
+   * @param {string} account - Login
+   * @returns {Promise<void>}
+   */
+  async function saveRememberedSession(account) {
+    try {
+      await TokenVault.save(account, getSession(account));
+    } catch (error) {
+      console.error('Failed to remember the session:', error);
+    }
+  }
+
+  /**
+   * Delete an account's remembered session
+   * @param {string} account - Login
+   * @returns {Promise<void>}
+   */
+  async function forgetSession(account) {
+    try {
+      await TokenVault.remove(account);
+    } catch (error) {
+      console.error('Failed to forget the session:', error);
+    }
+  }
+
+  /**
+   * Load an account's remembered session into this tab
+   * @param {string} account - Login
+   * @returns {Promise<boolean>} True if a session was loaded
+   */
+  async function loadRememberedSession(account) {
+    let session = null;
+    try {
+      session = await TokenVault.load(account);
+    } catch (error) {
+      console.error('Failed to read the remembered session:', error);
+    }
+    if (!session) return false;
+
+    setSession(account, session);
+    return true;
+  }
+
+  /**
+   * Restore remembered sessions in a new tab (or after a browser restart)
+   * Sessions that have been idle too long are deleted instead.
+   * @returns {Promise<boolean>} True if a session was restored
+   */
+  async function restoreSession() {
+    let remembered = [];
+    try {
+      remembered = await TokenVault.loadAll();
+    } catch (error) {
+      console.error('Failed to read remembered sessions:', error);
+    }
+
+    const lastActivity = Number(localStorage.getItem(CONFIG.STORAGE_KEYS.LAST_ACTIVITY));
+    if (Date.now() - lastActivity > CONFIG.SESSION_IDLE_TIMEOUT) {
+      await Promise.all(remembered.map(({ account }) => forgetSession(account)));
+      return false;
+    }
+
+    const missing = remembered.filter(({ account }) => !getSession(account));
+    missing.forEach(({ account, session }) => setSession(account, session));
+
+    if (!getActiveAccount() && missing.length > 0) {
+      sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_ACCOUNT, missing[0].account);
+    }
+    return missing.length > 0;
+  }
+
+  /**
+   * Record user activity, which keeps remembered sessions from timing out
+   */
+  function recordActivity() {
+    if (!hasRememberedSession()) return;
+
+    const lastActivity = Number(localStorage.getItem(CONFIG.STORAGE_KEYS.LAST_ACTIVITY));
+    if (Date.now() - lastActivity > ACTIVITY_INTERVAL) {
+      localStorage.setItem(CONFIG.STORAGE_KEYS.LAST_ACTIVITY, String(Date.now()));
+    }
+  }
+
+  /**
+   * Check whether remembered sessions have been idle too long (in any tab)
+   * @returns {boolean} True if the sessions should end
+   */
+  function isIdle() {
+    const lastActivity = Number(localStorage.getItem(CONFIG.STORAGE_KEYS.LAST_ACTIVITY));
+    return hasRememberedSession() && Date.now() - lastActivity > CONFIG.SESSION_IDLE_TIMEOUT;
+  }
+
+  /**
+   * Register a listener for logouts in other tabs
+   * Only remembered sessions are shared between tabs, so a session this tab
+   * logged in by itself stays. The account is removed from this tab before the listener is called.
+   * @param {Function} listener - Called with the login of the account that logged out
+   */
+  function onRemoteLogout(listener) {
+    channel?.addEventListener('message', (e) => {
+      if (e.data?.type !== 'logout' || !getSession(e.data.account)?.remember) return;
+      removeSession(e.data.account);
+      listener(e.data.account);
+    });
+  }
+
+  // ===== Token Refresh =====
+
+  /**
+   * Check whether an account's access token expires soon and can be refreshed
+   * @param {string} account - Login
+   * @returns {boolean} True if the token should be refreshed before the next request
+   */
+  function needsRefresh(account) {
+    const expiresAt = getSession(account)?.expiresAt;
+    return Boolean(expiresAt) && Date.now() > expiresAt - REFRESH_MARGIN;
+  }
+
+  /**
+   * Get a new access token with the refresh token (through the worker's /refresh route)
+   * Concurrent callers share one refresh, since each refresh token can only be used once.
+   * @param {string} account - Login
+   * @returns {Promise<string>} New access token
+   */
+  function refreshAccessToken(account) {
+    if (!refreshPromises.has(account)) {
+      const refresh = (async () => {
+        // Another tab sharing the remembered session may have refreshed it already
+        const staleToken = getAccessToken(account);
+        if (getSession(account)?.remember && (await loadRememberedSession(account))) {
+          if (getAccessToken(account) !== staleToken && !needsRefresh(account)) return getAccessToken(account);
+        }
+
+        const session = getSession(account);
+        if (!session?.refreshToken) {
+          throw sessionExpiredError();
+        }
+
+        const response = await fetch(new URL('refresh', CONFIG.WORKER_URL), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            refresh_token: session.refreshToken,
+            client_id: CONFIG.CLIENT_ID,
+          }),
+        });
+
+        const data = await response.json();
+
+        // The refresh token expired or was revoked
+        if (data.error || !data.access_token) {
+          console.error('Token refresh failed:', data.error_description || data.error);
+          throw sessionExpiredError();
+        }
+
+        setSession(account, { ...session, ...tokenFields(data) });
+        if (session.remember) await saveRememberedSession(account);
+        return data.access_token;
+      })().finally(() => {
+        refreshPromises.delete(account);
+      });
+
+      refreshPromises.set(account, refresh);
+    }
+
+    return refreshPromises.get(account);
+  }
+
+  /**
+   * Create the error for a session that can't be renewed
+   * @returns {Error} Error with status 401
+   */
+  function sessionExpiredError() {
+    const error = new Error('Your session has expired. Please log in again.');
+    error.status = 401;
+    return error;
+  }
+
+  /**
+   * Octokit request hook: refresh an expiring token before the request,
+   * and retry once with a new token if GitHub answers 401
+   * @param {string} account - Login of the account the Octokit instance belongs to
+   * @param {Function} request - The wrapped request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response
+   */
+  async function refreshingRequest(account, request, options) {
+    if (needsRefresh(account)) {
+      await refreshAccessToken(account);
+    }
+
+    const token = getAccessToken(account);
+    try {
+      return await request(options);
+    } catch (error) {
+      if (error.status !== 401 || !getSession(account)?.refreshToken) {
+        throw error;
+      }
+
+      // Another request may have refreshed the token already
+      if (getAccessToken(account) === token) {
+        await refreshAccessToken(account);
+      }
+      return request(options);
+    }
   }
 
   /**
-   * Get or create an authenticated Octokit instance
-   * @returns {Octokit|null} Octokit instance or null if not authenticated
+   * Get or create the Octokit instance of an account
+   * @param {string} account - Login (default: the active account)
+   * @returns {Octokit|null} Octokit instance or null if the account isn't logged in
    */
-  function getOctokit() {
-    const token = getAccessToken();
-    if (!token) {
+  function getOctokit(account = getActiveAccount()) {
+    if (!getAccessToken(account)) {
       return null;
     }
 
-    // Reuse existing instance if token hasn't changed
-    if (!octokitInstance) {
-      octokitInstance = new Octokit({ auth: token });
+    // Reuse existing instance (it reads the current token on every request)
+    if (!octokitInstances.has(account)) {
+      const octokit = new Octokit();
+
+      // Add the token per request rather than once, so a refreshed token is used right away
+      octokit.hook.before('request', (options) => {
+        options.headers.authorization = `token ${getAccessToken(account)}`;
+      });
+      octokit.hook.wrap('request', (request, options) => refreshingRequest(account, request, options));
+      RateLimit.install(octokit, account);
+      ResponseCache.install(octokit);
+
+      octokitInstances.set(account, octokit);
     }
 
-    return octokitInstance;
+    return octokitInstances.get(account);
   }
 
   /**
    * Start the OAuth login flow
    * Generates PKCE values and redirects to GitHub authorization page
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.remember - Remember the session across tabs and browser restarts
    */
-  async function initiateLogin() {
+  async function initiateLogin(options = {}) {
     // Generate PKCE values
     const codeVerifier = generateRandomString(64);
     const codeChallenge = await generateCodeChallenge(codeVerifier);
@@ -107,6 +533,13 @@ export const Auth = (function () {
     sessionStorage.setItem(CONFIG.STORAGE_KEYS.CODE_VERIFIER, codeVerifier);
     sessionStorage.setItem(CONFIG.STORAGE_KEYS.OAUTH_STATE, state);
 
+    // Kept through the redirect for handleCallback
+    if (options.remember) {
+      sessionStorage.setItem(CONFIG.STORAGE_KEYS.REMEMBER_SESSION, 'true');
+    } else {
+      sessionStorage.removeItem(CONFIG.STORAGE_KEYS.REMEMBER_SESSION);
+    }
+
     // Build the authorization URL
     const params = new URLSearchParams({
       client_id: CONFIG.CLIENT_ID,
@@ -121,6 +554,115 @@ export const Auth = (function () {
     window.location.href = `https://github.com/login/oauth/authorize?${params.toString()}`;
   }
 
+  /**
+   * Log in with a personal access token (classic or fine-grained)
+   * The account is added to the logged-in accounts and becomes the active one.
+   * @param {string} token - Personal access token
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.remember - Remember the session across tabs and browser restarts
+   * @returns {Promise<Object>} Authenticated user
+   */
+  async function loginWithToken(token, options = {}) {
+    const accessToken = token.trim();
+    if (!accessToken) {
+      throw new Error('Enter a personal access token');
+    }
+
+    try {
+      return await addAccount({ access_token: accessToken }, options);
+    } catch (error) {
+      if (error.status === 401) {
+        throw new Error('GitHub rejected this token. Check that it was copied completely and has not expired.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait between device flow polls
+   * @param {number} ms - Milliseconds to wait
+   * @param {AbortSignal} signal - Rejects the wait when the login is cancelled
+   * @returns {Promise<void>}
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        },
+        { once: true }
+      );
+    });
+  }
+
+  /**
+   * Send a device flow request through the worker
+   * @param {string} route - Worker route ('device/code' or 'device/token')
+   * @param {Object} body - Request fields besides client_id
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Object>} GitHub's response (with error set if it failed)
+   */
+  async function postDeviceRequest(route, body, signal) {
+    const response = await fetch(new URL(route, CONFIG.WORKER_URL), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ client_id: CONFIG.CLIENT_ID, ...body }),
+      signal,
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Log in with the OAuth device flow
+   * Gets a user code for the user to enter at GitHub's verification page, then
+   * polls until they have approved (or denied) the login or the code expires.
+   * @param {Object} options - Login settings
+   * @param {Function} options.onCode - Called with { userCode, verificationUri, expiresAt } to show to the user
+   * @param {AbortSignal} options.signal - Cancels the login (it then rejects with an AbortError)
+   * @param {boolean} options.remember - Remember the session across tabs and browser restarts
+   * @returns {Promise<Object>} Authenticated user (the account is added and becomes the active one)
+   */
+  async function loginWithDevice({ onCode, signal, remember }) {
+    const device = await postDeviceRequest('device/code', { scope: CONFIG.OAUTH_SCOPE }, signal);
+    if (device.error || !device.device_code) {
+      throw new Error(device.error_description || device.message || 'Failed to start the device login');
+    }
+
+    const expiresAt = new Date(Date.now() + device.expires_in * 1000);
+    onCode({ userCode: device.user_code, verificationUri: device.verification_uri, expiresAt });
+
+    let interval = device.interval * 1000;
+    for (;;) {
+      await sleep(interval, signal);
+
+      const data = await postDeviceRequest('device/token', { device_code: device.device_code }, signal);
+      if (data.access_token) {
+        return addAccount(data, { remember });
+      }
+
+      switch (data.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          // GitHub asks for a longer interval (5 seconds more if it doesn't say)
+          interval = data.interval ? data.interval * 1000 : interval + 5000;
+          break;
+        case 'expired_token':
+          throw new Error('The code has expired. Please log in again.');
+        case 'access_denied':
+          throw new Error('The login was cancelled on GitHub.');
+        default:
+          throw new Error(data.error_description || data.message || 'Device login failed');
+      }
+    }
+  }
+
   /**
    * Handle the OAuth callback after user authorizes the app
    * Exchanges authorization code for access token
@@ -180,40 +722,59 @@ export const Auth = (function () {
       throw new Error('No access token received');
     }
 
-    // Store the access token
-    sessionStorage.setItem(CONFIG.STORAGE_KEYS.ACCESS_TOKEN, data.access_token);
+    // Add the account (with the refresh token, if the access token expires)
+    const remember = sessionStorage.getItem(CONFIG.STORAGE_KEYS.REMEMBER_SESSION) === 'true';
+    await addAccount(data, { remember });
 
     // Clean up temporary OAuth values
     sessionStorage.removeItem(CONFIG.STORAGE_KEYS.CODE_VERIFIER);
     sessionStorage.removeItem(CONFIG.STORAGE_KEYS.OAUTH_STATE);
+    sessionStorage.removeItem(CONFIG.STORAGE_KEYS.REMEMBER_SESSION);
 
     // Clear the URL parameters (clean up the address bar)
     window.history.replaceState({}, document.title, CONFIG.REDIRECT_URI);
 
-    // Reset octokit instance so it gets recreated with new token
-    octokitInstance = null;
-
     return true;
   }
 
   /**
-   * Log out the current user
-   * Clears all stored authentication data
+   * Log out an account
+   * Clears its stored authentication data. A remembered session is also forgotten
+   * and logged out in the other open tabs. Other accounts stay logged in.
+   * @param {string} account - Login (default: the active account)
    */
-  function logout() {
-    sessionStorage.removeItem(CONFIG.STORAGE_KEYS.ACCESS_TOKEN);
+  function logout(account = getActiveAccount()) {
     sessionStorage.removeItem(CONFIG.STORAGE_KEYS.CODE_VERIFIER);
     sessionStorage.removeItem(CONFIG.STORAGE_KEYS.OAUTH_STATE);
-    octokitInstance = null;
+    sessionStorage.removeItem(CONFIG.STORAGE_KEYS.REMEMBER_SESSION);
+    if (!account) return;
+
+    const remembered = getSession(account)?.remember;
+    removeSession(account);
+    forgetSession(account);
+    if (remembered) {
+      channel?.postMessage({ type: 'logout', account });
+    }
   }
 
   // Public API
   return {
     isAuthenticated,
+    getActiveAccount,
+    getAccounts,
+    switchAccount,
     getAccessToken,
+    getFreshAccessToken,
     getOctokit,
+    getScopes,
     initiateLogin,
+    loginWithToken,
+    loginWithDevice,
     handleCallback,
+    restoreSession,
+    recordActivity,
+    isIdle,
+    onRemoteLogout,
     logout,
   };
 })();
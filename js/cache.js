@@ -0,0 +1,159 @@
+/**
+ * Cache Module
+ *
+ * IndexedDB-backed cache for GitHub API reads, so the app keeps working on a
+ * flaky connection or offline.
+ *
+ * - Immutable data (blobs, trees and files at a commit SHA) never changes, so it
+ *   is served from the cache first and only fetched once.
+ * - Mutable data (anything read by branch name, history, lists) is fetched from
+ *   the network first; the cached copy is used when the network is unavailable.
+ *
+ * The cache is bounded: entries older than MAX_AGE are dropped, and beyond MAX_ENTRIES
+ * the oldest ones go first. It is pruned every few writes.
+ *
+ * Cache failures (e.g. storage disabled) never break a request: the cache is skipped.
+ *
+ * Record shape: { key, value, cachedAt } (cachedAt in ms since the epoch)
+ */
+
+import { IDB } from './idb.js';
+
+export const Cache = (function () {
+  const STORE = 'api-cache';
+
+  // Most entries kept, and how long an entry is kept (ms)
+  const MAX_ENTRIES = 2000;
+  const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  // Prune after this many writes (pruning reads every record)
+  const PRUNE_INTERVAL = 100;
+
+  // Writes since the last prune; starting at the limit prunes on the first write of a session
+  let writesSincePrune = PRUNE_INTERVAL;
+
+  /**
+   * Check whether an error means the network is unavailable (as opposed to an API error)
+   * @param {Error} error - Error from a request
+   * @returns {boolean} True when offline or the request never reached GitHub
+   */
+  function isNetworkError(error) {
+    if (!navigator.onLine) return true;
+    // fetch() rejects with a TypeError; Octokit wraps it in an HttpError without a response
+    return error instanceof TypeError || (error?.name === 'HttpError' && !error.response);
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined
+   */
+  async function get(key) {
+    try {
+      const record = await IDB.get(STORE, key);
+      // Records from before entries had a timestamp are ignored (pruning removes them)
+      return typeof record?.cachedAt === 'number' ? record.value : undefined;
+    } catch (error) {
+      console.error('Cache unavailable:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value (failures are logged and ignored)
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  async function set(key, value) {
+    try {
+      await IDB.set(STORE, key, { key, value, cachedAt: Date.now() });
+    } catch (error) {
+      console.error('Failed to cache response:', error);
+      return;
+    }
+
+    if (++writesSincePrune >= PRUNE_INTERVAL) {
+      writesSincePrune = 0;
+      // Don't hold up the request this write belongs to
+      prune();
+    }
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones beyond MAX_ENTRIES
+   * @returns {Promise<void>}
+   */
+  async function prune() {
+    try {
+      const records = (await IDB.getAll(STORE)).filter((record) => typeof record?.cachedAt === 'number');
+      const cutoff = Date.now() - MAX_AGE;
+
+      // Keep the newest entries that haven't expired
+      records.sort((a, b) => b.cachedAt - a.cachedAt);
+      const kept = new Set(
+        records.filter((record, index) => record.cachedAt > cutoff && index < MAX_ENTRIES).map((record) => record.key)
+      );
+
+      // Delete the rest, including records from before entries had a timestamp
+      // (an entry written meanwhile may go too; it is only a cache)
+      const stale = (await IDB.keys(STORE)).filter((key) => !kept.has(key));
+      await Promise.all(stale.map((key) => IDB.remove(STORE, key)));
+    } catch (error) {
+      console.error('Failed to prune cache:', error);
+    }
+  }
+
+  /**
+   * Read through the cache
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Fetches the value from the network
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.immutable - Serve from the cache first (the value never changes)
+   * @returns {Promise<*>} Value
+   */
+  async function read(key, fetcher, options = {}) {
+    if (options.immutable || !navigator.onLine) {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    try {
+      const value = await fetcher();
+      await set(key, value);
+      return value;
+    } catch (error) {
+      if (options.immutable || !isNetworkError(error)) throw error;
+
+      // Offline: fall back to the last copy we saw
+      const cached = await get(key);
+      if (cached === undefined) throw error;
+      return cached;
+    }
+  }
+
+  /**
+   * Delete cached values (on logout)
+   * @param {string} prefix - Only delete keys starting with this (default: delete everything)
+   * @returns {Promise<void>}
+   */
+  async function clear(prefix = '') {
+    try {
+      if (!prefix) {
+        await IDB.clear(STORE);
+        return;
+      }
+
+      const keys = await IDB.keys(STORE);
+      await Promise.all(keys.filter((key) => key.startsWith(prefix)).map((key) => IDB.remove(STORE, key)));
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+    }
+  }
+
+  // Public API
+  return {
+    isNetworkError,
+    read,
+    clear,
+  };
+})();
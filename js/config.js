@@ -30,11 +30,28 @@ export const CONFIG = {
   // Use 'public_repo' if you only want access to public repositories
   OAUTH_SCOPE: 'public_repo',
 
-  // Session storage keys
+  // "Remember me" sessions end after this long without user activity (ms)
+  SESSION_IDLE_TIMEOUT: 24 * 60 * 60 * 1000,
+
+  // Browser storage keys (sessionStorage unless noted)
   STORAGE_KEYS: {
-    ACCESS_TOKEN: 'github_access_token',
+    // Sessions of the logged-in accounts by login (JSON, see auth.js), and the login of the active one
+    ACCOUNTS: 'github_accounts',
+    ACTIVE_ACCOUNT: 'github_active_account',
+    // Set during an OAuth login whose session should be remembered in IndexedDB (see token-vault.js)
+    REMEMBER_SESSION: 'remember_session',
+    // localStorage: time of the last user activity in a remembered session (ms since epoch)
+    LAST_ACTIVITY: 'last_activity',
     CODE_VERIFIER: 'oauth_code_verifier',
     OAUTH_STATE: 'oauth_state',
+    // localStorage prefix; the repository's full name is appended
+    TREE_EXPANDED: 'tree_expanded',
+    // localStorage: Markdown editor view ('edit', 'split' or 'preview')
+    EDITOR_VIEW: 'editor_view',
+    // localStorage: repository list filter (GitHub's affiliation parameter)
+    REPO_AFFILIATION: 'repo_affiliation',
+    // localStorage prefix for unsaved drafts; account, repository, branch and path are appended
+    DRAFT: 'draft',
   },
 };
 
@@ -0,0 +1,353 @@
+/**
+ * Diff Module
+ *
+ * Line-based diffing and three-way merging for document text.
+ * Uses the Myers O(ND) algorithm to find the longest common subsequence
+ * between two sequences, and builds a diff3-style merge on top of it.
+ * Changed lines can also be compared word by word for display.
+ */
+
+export const Diff = (function () {
+  // Word diff tokens: runs of letters and digits, runs of whitespace, or single other characters
+  const WORD_TOKENS = /[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu;
+
+  /**
+   * Split text into lines (a trailing newline does not produce an empty last line)
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Lines without their line endings
+   */
+  function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Join lines back into text
+   * @param {Array<string>} lines - Lines to join
+   * @param {boolean} trailingNewline - Whether to end the text with a newline
+   * @returns {string} Joined text
+   */
+  function joinLines(lines, trailingNewline = true) {
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (trailingNewline ? '\n' : '');
+  }
+
+  /**
+   * Find matching index pairs between two sequences (Myers' algorithm)
+   * @param {Array} a - Old sequence
+   * @param {Array} b - New sequence
+   * @returns {Array<Array<number>>} Pairs [indexInA, indexInB] in ascending order
+   */
+  function findMatches(a, b) {
+    // Common prefix and suffix are matched directly, which keeps the
+    // search space small for the typical "small edit in a big file" case
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix &&
+      suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const n = a.length - prefix - suffix;
+    const m = b.length - prefix - suffix;
+    const middle = [];
+
+    if (n > 0 && m > 0) {
+      const max = n + m;
+      const v = new Int32Array(2 * max + 2);
+      const trace = [];
+      let found = false;
+
+      for (let d = 0; d <= max && !found; d++) {
+        // Only the diagonals reachable in d steps are needed when backtracking
+        trace.push(v.slice(max - d - 1 < 0 ? 0 : max - d - 1, max + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+          let x;
+          if (k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])) {
+            x = v[max + k + 1];
+          } else {
+            x = v[max + k - 1] + 1;
+          }
+          let y = x - k;
+
+          while (x < n && y < m && a[prefix + x] === b[prefix + y]) {
+            x++;
+            y++;
+          }
+
+          v[max + k] = x;
+
+          if (x >= n && y >= m) {
+            found = true;
+            break;
+          }
+        }
+      }
+
+      // Walk the trace backwards to recover the diagonal (matching) moves
+      let x = n;
+      let y = m;
+      for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const base = max - d - 1 < 0 ? 0 : max - d - 1;
+        const at = (k) => snapshot[max + k - base];
+        const k = x - y;
+
+        let prevK;
+        if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+          prevK = k + 1;
+        } else {
+          prevK = k - 1;
+        }
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+          middle.push([prefix + x - 1, prefix + y - 1]);
+          x--;
+          y--;
+        }
+
+        if (d > 0) {
+          x = prevX;
+          y = prevY;
+        }
+      }
+      middle.reverse();
+    }
+
+    const matches = [];
+    for (let i = 0; i < prefix; i++) matches.push([i, i]);
+    matches.push(...middle);
+    for (let i = suffix; i > 0; i--) matches.push([a.length - i, b.length - i]);
+
+    return matches;
+  }
+
+  /**
+   * Diff two arrays
+   * @param {Array} a - Old sequence
+   * @param {Array} b - New sequence
+   * @returns {Array<Object>} Operations { type: 'equal'|'delete'|'insert', values }
+   */
+  function diffArrays(a, b) {
+    const ops = [];
+    const push = (type, value) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) {
+        last.values.push(value);
+      } else {
+        ops.push({ type, values: [value] });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    for (const [mi, mj] of [...findMatches(a, b), [a.length, b.length]]) {
+      while (i < mi) push('delete', a[i++]);
+      while (j < mj) push('insert', b[j++]);
+      if (mi < a.length) {
+        push('equal', a[i]);
+        i++;
+        j++;
+      }
+    }
+
+    return ops;
+  }
+
+  /**
+   * Diff two texts line by line
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {Array<Object>} Operations { type: 'equal'|'delete'|'insert', values } with lines as values
+   */
+  function diffLines(oldText, newText) {
+    return diffArrays(splitLines(oldText), splitLines(newText));
+  }
+
+  /**
+   * Diff two lines word by word
+   * @param {string} oldLine - Old line
+   * @param {string} newLine - New line
+   * @returns {Array<Object>} Operations { type: 'equal'|'delete'|'insert', values } with words and whitespace as values
+   */
+  function diffWords(oldLine, newLine) {
+    return diffArrays(oldLine.match(WORD_TOKENS) || [], newLine.match(WORD_TOKENS) || []);
+  }
+
+  /**
+   * Compare two texts for display
+   * Deleted lines directly followed by inserted lines are paired up as changed
+   * lines, with a word diff showing what changed within each pair.
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {Array<Object>} Rows { type: 'equal'|'delete'|'insert'|'change', oldNumber, newNumber, oldLine, newLine, words }
+   */
+  function compareLines(oldText, newText) {
+    const ops = diffLines(oldText, newText);
+    const rows = [];
+    let oldNumber = 1;
+    let newNumber = 1;
+
+    const deleted = (line) => ({ type: 'delete', oldNumber: oldNumber++, newNumber: null, oldLine: line, newLine: null });
+    const inserted = (line) => ({ type: 'insert', oldNumber: null, newNumber: newNumber++, oldLine: null, newLine: line });
+
+    for (let k = 0; k < ops.length; k++) {
+      const op = ops[k];
+
+      if (op.type === 'equal') {
+        op.values.forEach((line) => {
+          rows.push({ type: 'equal', oldNumber: oldNumber++, newNumber: newNumber++, oldLine: line, newLine: line });
+        });
+      } else if (op.type === 'delete' && ops[k + 1] && ops[k + 1].type === 'insert') {
+        const replacement = ops[++k].values;
+        const count = Math.max(op.values.length, replacement.length);
+        for (let i = 0; i < count; i++) {
+          if (i >= replacement.length) {
+            rows.push(deleted(op.values[i]));
+          } else if (i >= op.values.length) {
+            rows.push(inserted(replacement[i]));
+          } else {
+            rows.push({
+              type: 'change',
+              oldNumber: oldNumber++,
+              newNumber: newNumber++,
+              oldLine: op.values[i],
+              newLine: replacement[i],
+              words: diffWords(op.values[i], replacement[i]),
+            });
+          }
+        }
+      } else {
+        op.values.forEach((line) => rows.push(op.type === 'delete' ? deleted(line) : inserted(line)));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Find the changed regions ("hunks") of a sequence relative to a base
+   * @param {Array} base - Base sequence
+   * @param {Array} side - Changed sequence
+   * @returns {Array<Object>} Hunks { baseStart, baseEnd, sideStart, sideEnd }
+   */
+  function findHunks(base, side) {
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+
+    for (const [mi, mj] of [...findMatches(base, side), [base.length, side.length]]) {
+      if (mi > i || mj > j) {
+        hunks.push({ baseStart: i, baseEnd: mi, sideStart: j, sideEnd: mj });
+      }
+      i = mi + 1;
+      j = mj + 1;
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Three-way merge of two edited versions against their common base
+   *
+   * Changes that only one side made are applied automatically. Overlapping or
+   * adjacent changes that differ are conflicts and are written out with
+   * git-style conflict markers.
+   *
+   * @param {string} base - Common ancestor text
+   * @param {string} ours - Our edited text
+   * @param {string} theirs - Their edited text
+   * @param {Object} labels - Optional conflict marker labels { ours, theirs }
+   * @returns {Object} { content, clean, conflicts } where conflicts is the number of conflicting regions
+   */
+  function merge3(base, ours, theirs, labels = {}) {
+    const baseLines = splitLines(base);
+    const sides = {
+      ours: splitLines(ours),
+      theirs: splitLines(theirs),
+    };
+
+    const hunks = [
+      ...findHunks(baseLines, sides.ours).map((h) => ({ ...h, side: 'ours' })),
+      ...findHunks(baseLines, sides.theirs).map((h) => ({ ...h, side: 'theirs' })),
+    ].sort((x, y) => x.baseStart - y.baseStart || x.baseEnd - y.baseEnd);
+
+    const output = [];
+    let conflicts = 0;
+    let basePos = 0;
+    let index = 0;
+
+    while (index < hunks.length) {
+      // Group every hunk that overlaps (or touches) the current region
+      const region = [hunks[index++]];
+      const regionStart = region[0].baseStart;
+      let regionEnd = region[0].baseEnd;
+
+      while (index < hunks.length && hunks[index].baseStart <= regionEnd) {
+        regionEnd = Math.max(regionEnd, hunks[index].baseEnd);
+        region.push(hunks[index++]);
+      }
+
+      output.push(...baseLines.slice(basePos, regionStart));
+      basePos = regionEnd;
+
+      // Work out what each side turned the region's base lines into
+      const regionBase = baseLines.slice(regionStart, regionEnd);
+      const contentFor = (sideName) => {
+        const sideHunks = region.filter((h) => h.side === sideName);
+        if (sideHunks.length === 0) return regionBase;
+
+        const first = sideHunks[0];
+        const last = sideHunks[sideHunks.length - 1];
+        const start = first.sideStart - (first.baseStart - regionStart);
+        const end = last.sideEnd + (regionEnd - last.baseEnd);
+        return sides[sideName].slice(start, end);
+      };
+
+      const oursContent = contentFor('ours');
+      const theirsContent = contentFor('theirs');
+      const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+      if (same(oursContent, theirsContent) || same(theirsContent, regionBase)) {
+        output.push(...oursContent);
+      } else if (same(oursContent, regionBase)) {
+        output.push(...theirsContent);
+      } else {
+        conflicts++;
+        output.push(`<<<<<<< ${labels.ours || 'ours'}`);
+        output.push(...oursContent);
+        output.push('=======');
+        output.push(...theirsContent);
+        output.push(`>>>>>>> ${labels.theirs || 'theirs'}`);
+      }
+    }
+
+    output.push(...baseLines.slice(basePos));
+
+    return {
+      content: joinLines(output, ours.endsWith('\n') || (ours === '' && theirs.endsWith('\n'))),
+      clean: conflicts === 0,
+      conflicts,
+    };
+  }
+
+  // Public API
+  return {
+    splitLines,
+    diffArrays,
+    diffLines,
+    diffWords,
+    compareLines,
+    merge3,
+  };
+})();
@@ -0,0 +1,74 @@
+/**
+ * Drafts Module
+ *
+ * Snapshots of unsaved editor content, kept in localStorage so they survive a
+ * crashed or closed tab. There is one draft per account, repository, branch and
+ * file, stored with the SHA of the version it was written against.
+ *
+ * Draft shape: { content, baseSha, savedAt }
+ */
+
+import { CONFIG } from './config.js';
+
+export const Drafts = (function () {
+  /**
+   * Build the key of a draft
+   * @param {string} user - Login of the account the draft belongs to
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch
+   * @param {string} path - File path
+   * @returns {string} localStorage key
+   */
+  function keyFor(user, owner, repo, branch, path) {
+    return `${CONFIG.STORAGE_KEYS.DRAFT}:${user}:${owner}/${repo}@${branch}:${path}`;
+  }
+
+  /**
+   * Save a draft, replacing the previous one
+   * Failures (e.g. storage full) are logged and reported to the caller instead of thrown.
+   * @param {string} key - Draft key
+   * @param {string} content - Editor content
+   * @param {string} baseSha - Blob SHA of the version the edits are based on
+   * @returns {boolean} True if the draft was saved
+   */
+  function save(key, content, baseSha) {
+    try {
+      localStorage.setItem(key, JSON.stringify({ content, baseSha, savedAt: Date.now() }));
+      return true;
+    } catch (error) {
+      console.error('Failed to save draft:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a draft
+   * @param {string} key - Draft key
+   * @returns {Object|null} Draft { content, baseSha, savedAt } with savedAt as a Date, or null
+   */
+  function get(key) {
+    try {
+      const draft = JSON.parse(localStorage.getItem(key));
+      return draft ? { ...draft, savedAt: new Date(draft.savedAt) } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Delete a draft
+   * @param {string} key - Draft key
+   */
+  function remove(key) {
+    localStorage.removeItem(key);
+  }
+
+  // Public API
+  return {
+    keyFor,
+    save,
+    get,
+    remove,
+  };
+})();
@@ -0,0 +1,56 @@
+/**
+ * Encoding Module
+ *
+ * Byte-safe base64 helpers for the GitHub API, which transfers file content as base64.
+ * `atob`/`btoa` only handle "binary strings" (one character per byte), so text has to
+ * go through TextEncoder/TextDecoder to survive UTF-8, and binary files have to stay
+ * as bytes end to end.
+ */
+
+export const Encoding = (function () {
+  // Convert this many bytes per String.fromCharCode call (avoids call stack limits)
+  const CHUNK_SIZE = 0x8000;
+
+  /**
+   * Encode raw bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} Base64 string
+   */
+  function encodeBytes(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 into raw bytes
+   * @param {string} base64 - Base64 string (line breaks, as returned by GitHub, are allowed)
+   * @returns {Uint8Array} Decoded bytes
+   */
+  function decodeBytes(base64) {
+    const binary = atob((base64 || '').replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode text as UTF-8 base64
+   * @param {string} text - Text to encode
+   * @returns {string} Base64 string
+   */
+  function encodeText(text) {
+    return encodeBytes(new TextEncoder().encode(text));
+  }
+
+  // Public API
+  return {
+    encodeBytes,
+    decodeBytes,
+    encodeText,
+  };
+})();
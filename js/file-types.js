@@ -0,0 +1,180 @@
+/**
+ * File Types Module
+ *
+ * Decides which files can be edited as text and how the editor should treat them.
+ * Every text file opens in the editor; the extension selects an editing mode
+ * (spell checking, line wrapping, indentation and validation on save).
+ */
+
+export const FileTypes = (function () {
+  // Editing modes, keyed by mode name
+  const MODES = {
+    markdown: {
+      label: 'Markdown',
+      extensions: ['md', 'markdown', 'mdown', 'mkd'],
+      spellcheck: true,
+      wrap: true,
+      indent: null,
+      placeholder: 'Start writing your Markdown document...',
+    },
+    yaml: {
+      label: 'YAML',
+      extensions: ['yml', 'yaml'],
+      spellcheck: false,
+      wrap: false,
+      indent: '  ',
+      placeholder: 'key: value',
+    },
+    json: {
+      label: 'JSON',
+      extensions: ['json', 'geojson', 'webmanifest'],
+      spellcheck: false,
+      wrap: false,
+      indent: '  ',
+      placeholder: '{ "key": "value" }',
+    },
+    csv: {
+      label: 'CSV',
+      extensions: ['csv', 'tsv'],
+      spellcheck: false,
+      wrap: false,
+      indent: null,
+      placeholder: 'column1,column2',
+    },
+    text: {
+      label: 'Plain Text',
+      extensions: [],
+      spellcheck: false,
+      wrap: true,
+      indent: null,
+      placeholder: 'Start typing...',
+    },
+  };
+
+  // Extensions that are never text, so there's no need to download them to find out
+  const BINARY_EXTENSIONS = new Set(
+    [
+      'png jpg jpeg gif webp bmp ico tif tiff psd heic', // Images
+      'pdf doc docx xls xlsx ppt pptx odt ods odp', // Documents
+      'zip gz tgz bz2 xz 7z rar tar jar', // Archives
+      'mp3 wav ogg flac m4a mp4 mov avi mkv webm', // Audio and video
+      'woff woff2 ttf otf eot', // Fonts
+      'exe dll so dylib bin class wasm pyc sqlite db', // Executables and data
+    ]
+      .join(' ')
+      .split(' ')
+  );
+
+  // Bytes inspected when sniffing content for binary data
+  const SNIFF_LENGTH = 8000;
+
+  /**
+   * Get the lowercase extension of a file name
+   * @param {string} filename - File name or path
+   * @returns {string} Extension without the dot ('' if none)
+   */
+  function getExtension(filename) {
+    const name = filename.split('/').pop();
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.substring(index + 1).toLowerCase() : '';
+  }
+
+  /**
+   * Get the editing mode for a file
+   * @param {string} filename - File name or path
+   * @returns {string} Mode name: 'markdown', 'yaml', 'json', 'csv' or 'text'
+   */
+  function getMode(filename) {
+    const extension = getExtension(filename);
+    const mode = Object.keys(MODES).find((key) => MODES[key].extensions.includes(extension));
+    return mode || 'text';
+  }
+
+  /**
+   * Get the settings of an editing mode
+   * @param {string} mode - Mode name
+   * @returns {Object} Mode settings { label, spellcheck, wrap, indent, placeholder }
+   */
+  function getModeInfo(mode) {
+    return MODES[mode] || MODES.text;
+  }
+
+  /**
+   * Check whether a file name has a known binary extension
+   * @param {string} filename - File name or path
+   * @returns {boolean} True for images, archives, office documents, etc.
+   */
+  function isBinaryName(filename) {
+    return BINARY_EXTENSIONS.has(getExtension(filename));
+  }
+
+  /**
+   * Check whether file content is binary rather than UTF-8 text
+   * @param {Uint8Array} bytes - File content
+   * @returns {boolean} True if the content contains NUL bytes or invalid UTF-8
+   */
+  function isBinaryContent(bytes) {
+    const sample = bytes.subarray(0, SNIFF_LENGTH);
+    if (sample.includes(0)) return true;
+
+    try {
+      // stream: true tolerates a multi-byte character cut off at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Check file content for obvious mistakes before saving
+   * @param {string} mode - Mode name
+   * @param {string} content - File content
+   * @returns {string|null} Description of the problem, or null if the content looks valid
+   */
+  function validate(mode, content) {
+    if (mode === 'json' && content.trim()) {
+      try {
+        JSON.parse(content);
+      } catch (error) {
+        return `Invalid JSON: ${error.message}`;
+      }
+    }
+
+    if (mode === 'yaml') {
+      const line = content.split('\n').findIndex((text) => /^\s*\t/.test(text));
+      if (line !== -1) {
+        return `YAML does not allow tabs for indentation (line ${line + 1})`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the initial content for a new file
+   * @param {string} filename - File name
+   * @returns {string} Starter content
+   */
+  function getTemplate(filename) {
+    switch (getMode(filename)) {
+      case 'markdown':
+        return `# ${filename.replace(/\.[^.]+$/, '')}\n\nStart writing here...\n`;
+      case 'json':
+        return '{}\n';
+      default:
+        return '';
+    }
+  }
+
+  // Public API
+  return {
+    getExtension,
+    getMode,
+    getModeInfo,
+    isBinaryName,
+    isBinaryContent,
+    validate,
+    getTemplate,
+  };
+})();
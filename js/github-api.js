@@ -6,8 +6,32 @@
  */
 
 import { Auth } from './auth.js';
+import { Encoding } from './encoding.js';
+import { Cache } from './cache.js';
+import { RateLimit } from './rate-limit.js';
 
 export const GitHubAPI = (function () {
+  // Largest file we write through the Contents API; bigger files go through the blob API
+  const CONTENTS_API_SIZE_LIMIT = 1024 * 1024;
+
+  // Base URL for requests made with fetch() directly instead of Octokit
+  const API_BASE_URL = 'https://api.github.com';
+
+  // A full commit SHA: anything read at one never changes, so it can be served from the cache
+  const COMMIT_SHA = /^[0-9a-f]{40}$/i;
+
+  /**
+   * Read through the offline cache, keeping each account's data apart
+   * (accounts may have access to different repositories)
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Fetches the value from the network
+   * @param {Object} options - Cache.read options
+   * @returns {Promise<*>} Value
+   */
+  function cachedRead(key, fetcher, options) {
+    return Cache.read(`${Auth.getActiveAccount()}:${key}`, fetcher, options);
+  }
+
   /**
    * Get the authenticated user's information
    * @returns {Promise<Object>} User object with login, name, avatar_url, etc.
@@ -16,28 +40,30 @@ export const GitHubAPI = (function () {
     const octokit = Auth.getOctokit();
     if (!octokit) throw new Error('Not authenticated');
 
-    const { data } = await octokit.users.getAuthenticated();
-    return data;
+    return cachedRead('user', async () => {
+      const { data } = await octokit.users.getAuthenticated();
+      return data;
+    });
   }
 
   /**
-   * List all repositories for the authenticated user
+   * List all repositories for the authenticated user (every page)
    * @param {Object} options - Optional parameters
    * @param {string} options.sort - Sort by: created, updated, pushed, full_name (default: updated)
-   * @param {number} options.per_page - Results per page (default: 100)
+   * @param {string} options.affiliation - Comma-separated list of owner, collaborator, organization_member
+   *   (default: all three)
    * @returns {Promise<Array>} Array of repository objects
    */
   async function listRepositories(options = {}) {
     const octokit = Auth.getOctokit();
     if (!octokit) throw new Error('Not authenticated');
 
-    const { data } = await octokit.repos.listForAuthenticatedUser({
-      sort: options.sort || 'updated',
-      per_page: options.per_page || 100,
-      affiliation: 'owner', // Only repos owned by the user
-    });
+    const sort = options.sort || 'updated';
+    const affiliation = options.affiliation || 'owner,collaborator,organization_member';
 
-    return data;
+    return cachedRead(`repos:${affiliation}:${sort}`, () =>
+      octokit.paginate(octokit.repos.listForAuthenticatedUser, { sort, per_page: 100, affiliation })
+    );
   }
 
   /**
@@ -63,6 +89,71 @@ export const GitHubAPI = (function () {
     return data;
   }
 
+  /**
+   * List all branches of a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array>} Array of branch objects ({ name, commit: { sha }, protected })
+   */
+  async function listBranches(owner, repo) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    return cachedRead(`branches:${owner}/${repo}`, () =>
+      octokit.paginate(octokit.repos.listBranches, {
+        owner,
+        repo,
+        per_page: 100,
+      })
+    );
+  }
+
+  /**
+   * Create a new branch pointing at the head of an existing branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Name of the new branch
+   * @param {string} fromBranch - Branch to start from
+   * @returns {Promise<Object>} Created ref object
+   */
+  async function createBranch(owner, repo, name, fromBranch) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    const { data: source } = await octokit.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${fromBranch}`,
+    });
+
+    const { data } = await octokit.git.createRef({
+      owner,
+      repo,
+      ref: `refs/heads/${name}`,
+      sha: source.object.sha,
+    });
+
+    return data;
+  }
+
+  /**
+   * Delete a branch
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} name - Branch name
+   * @returns {Promise<void>}
+   */
+  async function deleteBranch(owner, repo, name) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    await octokit.git.deleteRef({
+      owner,
+      repo,
+      ref: `heads/${name}`,
+    });
+  }
+
   /**
    * Get contents of a path in a repository (file or directory)
    * @param {string} owner - Repository owner (username)
@@ -85,19 +176,162 @@ export const GitHubAPI = (function () {
       params.ref = ref;
     }
 
-    const { data } = await octokit.repos.getContent(params);
+    return cachedRead(
+      `contents:${owner}/${repo}:${ref || ''}:${path}`,
+      async () => {
+        const { data } = await octokit.repos.getContent(params);
+        return data;
+      },
+      { immutable: COMMIT_SHA.test(ref || '') }
+    );
+  }
+
+  /**
+   * Get the file tree of a repository at a branch, tag or commit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch name, tag or tree/commit SHA
+   * @param {Object} options - Optional parameters
+   * @param {boolean} options.recursive - Include every nested entry, not just the top level (default: false)
+   * @returns {Promise<Object>} { sha, entries, truncated } where entries are Git tree entries
+   *   ({ path, type, sha, size, mode }) and truncated is true if GitHub cut the listing short
+   */
+  async function getTree(owner, repo, ref, options = {}) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    const params = {
+      owner,
+      repo,
+      tree_sha: ref,
+    };
+
+    if (options.recursive) {
+      params.recursive = 'true';
+    }
+
+    return cachedRead(
+      `tree:${owner}/${repo}:${ref}:${options.recursive ? 'recursive' : ''}`,
+      async () => {
+        const { data } = await octokit.git.getTree(params);
+
+        return {
+          sha: data.sha,
+          entries: data.tree,
+          truncated: data.truncated === true,
+        };
+      },
+      { immutable: COMMIT_SHA.test(ref) }
+    );
+  }
+
+  /**
+   * Get the raw bytes of a blob, streaming the download
+   * Used for files too large for the Contents API (over 1 MB), which omits their content.
+   * Blobs never change, so each one is only downloaded once and then served from the cache.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Blob SHA
+   * @param {Object} options - Optional parameters
+   * @param {number} options.size - Expected size in bytes (used for progress when the response has no length)
+   * @param {Function} options.onProgress - Called with (loadedBytes, totalBytes) as data arrives
+   * @param {boolean} options.cache - Keep the blob in the offline cache (default: true). Turn off for bulk
+   *   downloads such as search indexing, which would otherwise fill the cache with every file in the repository
+   * @returns {Promise<Uint8Array>} Blob content
+   */
+  async function getBlob(owner, repo, sha, options = {}) {
+    const token = await Auth.getFreshAccessToken();
+    if (!token) throw new Error('Not authenticated');
+
+    if (options.cache === false) {
+      return downloadBlob(owner, repo, sha, token, options);
+    }
+
+    return cachedRead(`blob:${owner}/${repo}:${sha}`, () => downloadBlob(owner, repo, sha, token, options), {
+      immutable: true,
+    });
+  }
+
+  /**
+   * Download a blob (see getBlob)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Blob SHA
+   * @param {string} token - Access token
+   * @param {Object} options - Optional parameters (see getBlob)
+   * @returns {Promise<Uint8Array>} Blob content
+   */
+  async function downloadBlob(owner, repo, sha, token, options) {
+    // Blob downloads count against the same limits as Octokit requests, and are retried the same way
+    const { data } = await RateLimit.schedule(Auth.getActiveAccount(), 'GET', async () => {
+      // Octokit buffers whole responses, so use fetch() to read the body as a stream
+      const response = await fetch(
+        `${API_BASE_URL}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/git/blobs/${sha}`,
+        {
+          headers: {
+            Accept: 'application/vnd.github.raw',
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+      const headers = Object.fromEntries(response.headers);
+
+      if (!response.ok) {
+        const error = new Error(`Failed to download file (HTTP ${response.status})`);
+        error.status = response.status;
+        error.response = { status: response.status, headers };
+        throw error;
+      }
+
+      return { headers, data: await readStream(response, options) };
+    });
+
     return data;
   }
 
+  /**
+   * Read a response body as it arrives, reporting progress
+   * @param {Response} response - fetch() response
+   * @param {Object} options - Optional parameters (see getBlob)
+   * @returns {Promise<Uint8Array>} Body
+   */
+  async function readStream(response, options) {
+    const total = Number(response.headers.get('Content-Length')) || options.size || 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      loaded += value.length;
+      if (options.onProgress) options.onProgress(loaded, Math.max(total, loaded));
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return bytes;
+  }
+
   /**
    * Get the content of a file, decoded from base64
+   * Falls back to the blob API for large files whose content the Contents API leaves out.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {string} path - Path to the file
    * @param {string} ref - Git reference (optional)
-   * @returns {Promise<Object>} Object with content, sha, and metadata
+   * @param {Object} options - Optional parameters
+   * @param {Function} options.onProgress - Called with (loadedBytes, totalBytes) while a large file downloads
+   * @returns {Promise<Object>} Object with content (UTF-8 text), bytes (raw content), sha, and metadata
    */
-  async function getFileContent(owner, repo, path, ref = null) {
+  async function getFileContent(owner, repo, path, ref = null, options = {}) {
     const data = await getContents(owner, repo, path, ref);
 
     if (Array.isArray(data)) {
@@ -108,11 +342,19 @@ export const GitHubAPI = (function () {
       throw new Error(`Expected file but got ${data.type}`);
     }
 
-    // Decode base64 content
-    const content = atob(data.content);
+    // Files over 1 MB come back with encoding "none" and an empty content field
+    const isTruncated = data.size > 0 && (!data.content || data.encoding === 'none');
+
+    const bytes = isTruncated
+      ? await getBlob(owner, repo, data.sha, { size: data.size, onProgress: options.onProgress })
+      : Encoding.decodeBytes(data.content);
+
+    // Decode as UTF-8 text
+    const content = new TextDecoder().decode(bytes);
 
     return {
       content,
+      bytes,
       sha: data.sha,
       name: data.name,
       path: data.path,
@@ -125,17 +367,19 @@ export const GitHubAPI = (function () {
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {string} path - Path for the file
-   * @param {string} content - File content (plain text, will be base64 encoded)
+   * @param {string|Uint8Array} content - File content as text or raw bytes (will be base64 encoded)
    * @param {string} message - Commit message
    * @param {string} sha - SHA of the file being replaced (required for updates, null for creates)
+   * @param {string} branch - Branch to commit to (optional, defaults to the repository's default branch)
    * @returns {Promise<Object>} Commit object with sha and other metadata
    */
-  async function createOrUpdateFile(owner, repo, path, content, message, sha = null) {
+  async function createOrUpdateFile(owner, repo, path, content, message, sha = null, branch = null) {
     const octokit = Auth.getOctokit();
     if (!octokit) throw new Error('Not authenticated');
 
     // Encode content to base64
-    const encodedContent = btoa(unescape(encodeURIComponent(content)));
+    const encodedContent =
+      typeof content === 'string' ? Encoding.encodeText(content) : Encoding.encodeBytes(content);
 
     const params = {
       owner,
@@ -149,6 +393,10 @@ export const GitHubAPI = (function () {
       params.sha = sha;
     }
 
+    if (branch) {
+      params.branch = branch;
+    }
+
     const { data } = await octokit.repos.createOrUpdateFileContents(params);
     return data;
   }
@@ -160,50 +408,147 @@ export const GitHubAPI = (function () {
    * @param {string} path - Path to the file
    * @param {string} message - Commit message
    * @param {string} sha - SHA of the file to delete
+   * @param {string} branch - Branch to commit to (optional, defaults to the repository's default branch)
    * @returns {Promise<Object>} Commit object
    */
-  async function deleteFile(owner, repo, path, message, sha) {
+  async function deleteFile(owner, repo, path, message, sha, branch = null) {
     const octokit = Auth.getOctokit();
     if (!octokit) throw new Error('Not authenticated');
 
-    const { data } = await octokit.repos.deleteFile({
+    const params = {
       owner,
       repo,
       path,
       message,
       sha,
-    });
+    };
+
+    if (branch) {
+      params.branch = branch;
+    }
 
+    const { data } = await octokit.repos.deleteFile(params);
     return data;
   }
 
   /**
-   * Get commit history for a file
+   * Get one page of commit history for a file, following renames
+   * When the history at the file's current path runs out and the file was renamed
+   * there, the cursor continues with the commits of the previous path.
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {string} path - Path to the file
    * @param {Object} options - Optional parameters
-   * @param {number} options.per_page - Number of commits to fetch (default: 30)
-   * @returns {Promise<Array>} Array of commit objects
+   * @param {number} options.per_page - Number of commits per page (default: 30)
+   * @param {string} options.ref - Branch or commit SHA to start listing from (optional)
+   * @param {Object} options.cursor - nextCursor from the previous page (omit for the first page)
+   * @returns {Promise<Object>} { commits, nextCursor }: commits carry the file's path at that commit,
+   *   nextCursor is null when there is no older history
    */
   async function getFileHistory(owner, repo, path, options = {}) {
     const octokit = Auth.getOctokit();
     if (!octokit) throw new Error('Not authenticated');
 
-    const { data } = await octokit.repos.listCommits({
-      owner,
-      repo,
-      path,
-      per_page: options.per_page || 30,
-    });
+    const perPage = options.per_page || 30;
+    const cursor = options.cursor || { path, ref: options.ref || null, page: 1, oldest: null };
 
-    return data.map((commit) => ({
+    const { head, data } = await cachedRead(
+      `history:${owner}/${repo}:${cursor.ref || ''}:${cursor.path}:${perPage}:${cursor.page}`,
+      async () => {
+        // The first page pins the history to the commit the branch points at now,
+        // so commits pushed while paging don't shift the later pages
+        const head = options.cursor ? cursor.ref : await resolveCommit(owner, repo, cursor.ref);
+        const { data } = await octokit.repos.listCommits({
+          owner,
+          repo,
+          path: cursor.path,
+          sha: head,
+          per_page: perPage,
+          page: cursor.page,
+        });
+        return { head, data };
+      },
+      { immutable: COMMIT_SHA.test(cursor.ref || '') }
+    );
+
+    const commits = data.map((commit) => ({
       sha: commit.sha,
       shortSha: commit.sha.substring(0, 7),
       message: commit.commit.message,
       date: new Date(commit.commit.author.date),
       author: commit.commit.author.name,
+      path: cursor.path,
     }));
+
+    // A full page means there may be more commits at this path
+    if (data.length === perPage) {
+      return {
+        commits,
+        nextCursor: { ...cursor, ref: head, page: cursor.page + 1, oldest: data[data.length - 1].sha },
+      };
+    }
+
+    // The history at this path ends here: if the oldest commit renamed the file
+    // into this path, continue from its parent at the previous path
+    const oldest = data.length > 0 ? data[data.length - 1].sha : cursor.oldest;
+    const rename = oldest ? await findRenameSource(owner, repo, oldest, cursor.path) : null;
+    const nextCursor = rename ? { path: rename.path, ref: rename.parent, page: 1, oldest: null } : null;
+
+    // An empty page right before a rename: go straight on to the previous path
+    if (commits.length === 0 && nextCursor) {
+      return getFileHistory(owner, repo, path, { ...options, cursor: nextCursor });
+    }
+
+    return { commits, nextCursor };
+  }
+
+  /**
+   * Get the SHA of the commit a branch or tag points at
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch, tag or commit SHA (default: the default branch)
+   * @returns {Promise<string>} Commit SHA
+   */
+  async function resolveCommit(owner, repo, ref = null) {
+    if (COMMIT_SHA.test(ref || '')) return ref;
+
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    // The sha media type answers with just the SHA as text
+    const { data } = await octokit.repos.getCommit({
+      owner,
+      repo,
+      ref: ref || 'HEAD',
+      mediaType: { format: 'sha' },
+    });
+    return data;
+  }
+
+  /**
+   * Find where a file came from if a commit renamed it
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Commit SHA
+   * @param {string} path - Path of the file after the commit
+   * @returns {Promise<Object|null>} { path, parent } with the previous path and the commit's parent SHA,
+   *   or null if the commit didn't rename the file
+   */
+  async function findRenameSource(owner, repo, sha, path) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    // A commit never changes
+    const data = await cachedRead(
+      `commit:${owner}/${repo}:${sha}`,
+      async () => (await octokit.repos.getCommit({ owner, repo, ref: sha })).data,
+      { immutable: true }
+    );
+
+    const file = (data.files || []).find((f) => f.filename === path && f.status === 'renamed');
+    if (!file || data.parents.length === 0) return null;
+
+    return { path: file.previous_filename, parent: data.parents[0].sha };
   }
 
   /**
@@ -212,10 +557,376 @@ export const GitHubAPI = (function () {
    * @param {string} repo - Repository name
    * @param {string} path - Path to the file
    * @param {string} sha - Commit SHA
+   * @param {Object} options - Optional parameters (see getFileContent)
    * @returns {Promise<Object>} File content object
    */
-  async function getFileAtCommit(owner, repo, path, sha) {
-    return getFileContent(owner, repo, path, sha);
+  async function getFileAtCommit(owner, repo, path, sha, options = {}) {
+    return getFileContent(owner, repo, path, sha, options);
+  }
+
+  /**
+   * Find a path in a tree by walking down one folder at a time
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch name, tag or commit SHA
+   * @param {string} path - Path of a file or folder
+   * @returns {Promise<Object|null>} Tree entry ({ path, type, sha, size, mode }) with its full path,
+   *   or null if the path doesn't exist
+   */
+  async function findEntry(owner, repo, ref, path) {
+    let entry = { type: 'tree', sha: ref };
+
+    for (const name of path.split('/')) {
+      if (entry.type !== 'tree') return null;
+      const { entries } = await getTree(owner, repo, entry.sha);
+      entry = entries.find((child) => child.path === name);
+      if (!entry) return null;
+    }
+
+    return { ...entry, path };
+  }
+
+  /**
+   * List everything below a folder: files, subfolders and submodules (see listSubtree)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch name, tag or commit SHA
+   * @param {string} folderPath - Path of the folder
+   * @returns {Promise<Array<Object>>} Tree entries ({ path, type, sha, size, mode }) with full paths
+   */
+  async function listFolder(owner, repo, ref, folderPath) {
+    const folder = await findEntry(owner, repo, ref, folderPath);
+    if (!folder || folder.type !== 'tree') {
+      throw new Error(`"${folderPath}" does not exist or is not a folder`);
+    }
+
+    return listSubtree(owner, repo, folder.sha, folderPath);
+  }
+
+  /**
+   * List everything below a tree: files, subfolders and submodules
+   * Unlike a recursive listing of the whole repository, the result is never cut short:
+   * when GitHub truncates the tree's recursive listing, its subfolders are listed one by one.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} sha - Tree SHA
+   * @param {string} prefix - Path of the tree
+   * @returns {Promise<Array<Object>>} Tree entries with full paths
+   */
+  async function listSubtree(owner, repo, sha, prefix) {
+    const withPrefix = (entry) => ({ ...entry, path: `${prefix}/${entry.path}` });
+
+    const { entries, truncated } = await getTree(owner, repo, sha, { recursive: true });
+    if (!truncated) return entries.map(withPrefix);
+
+    // Too large for one listing: list the direct children and descend into each subfolder
+    const { entries: children } = await getTree(owner, repo, sha);
+    const listings = await Promise.all(
+      children.map(async (child) => {
+        const entry = withPrefix(child);
+        return entry.type === 'tree' ? [entry, ...(await listSubtree(owner, repo, entry.sha, entry.path))] : [entry];
+      })
+    );
+    return listings.flat();
+  }
+
+  /**
+   * Rename or move a file or folder in a single commit
+   * For a folder, everything below it is moved, submodules included. File contents
+   * are not re-uploaded: the new paths point at the existing blobs.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {string} fromPath - Current path of the file or folder
+   * @param {string} toPath - New path
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commit, moved } where moved lists { from, to, sha, size } for every file
+   *   (moved submodules aren't listed)
+   */
+  async function movePath(owner, repo, branch, fromPath, toPath, message) {
+    const source = await findEntry(owner, repo, branch, fromPath);
+    if (!source) {
+      throw new Error(`"${fromPath}" does not exist`);
+    }
+
+    if (source.type === 'tree' && (toPath + '/').startsWith(fromPath + '/')) {
+      throw new Error('A folder cannot be moved into itself');
+    }
+
+    if (await findEntry(owner, repo, branch, toPath)) {
+      throw new Error(`"${toPath}" already exists`);
+    }
+
+    // Folders themselves aren't committed: they follow from the paths of their contents
+    const entries =
+      source.type === 'tree'
+        ? (await listSubtree(owner, repo, source.sha, fromPath)).filter((entry) => entry.type !== 'tree')
+        : [source];
+
+    const changes = entries.flatMap((entry) => [
+      { path: entry.path, delete: true, mode: entry.mode, type: entry.type },
+      { path: toPath + entry.path.substring(fromPath.length), sha: entry.sha, mode: entry.mode, type: entry.type },
+    ]);
+
+    const commit = await commitChanges(owner, repo, branch, changes, message);
+
+    const moved = entries
+      .filter((entry) => entry.type === 'blob')
+      .map((entry) => ({
+        from: entry.path,
+        to: toPath + entry.path.substring(fromPath.length),
+        sha: entry.sha,
+        size: entry.size,
+      }));
+
+    return { commit, moved };
+  }
+
+  /**
+   * Delete a folder and everything inside it (submodules included) in a single commit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {string} folderPath - Path of the folder
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commit, deleted } where deleted lists the removed file paths
+   */
+  async function deleteFolder(owner, repo, branch, folderPath, message) {
+    const entries = (await listFolder(owner, repo, branch, folderPath)).filter((entry) => entry.type !== 'tree');
+
+    if (entries.length === 0) {
+      throw new Error(`"${folderPath}" is empty`);
+    }
+
+    const commit = await commitChanges(
+      owner,
+      repo,
+      branch,
+      entries.map((entry) => ({ path: entry.path, delete: true, mode: entry.mode, type: entry.type })),
+      message
+    );
+
+    return { commit, deleted: entries.filter((entry) => entry.type === 'blob').map((entry) => entry.path) };
+  }
+
+  /**
+   * Upload a local file (text or binary) to the repository
+   * Small files go through the Contents API; files over its size limit are
+   * uploaded as a blob and committed through the Git Data API.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - Destination path in the repository
+   * @param {File} file - File (or Blob) to upload
+   * @param {string} message - Commit message
+   * @param {string} sha - SHA of the file being replaced (required when overwriting via the Contents API)
+   * @param {string} branch - Branch to commit to (optional, defaults to the repository's default branch)
+   * @returns {Promise<Object>} Commit object
+   */
+  async function uploadFile(owner, repo, path, file, message, sha = null, branch = null) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    if (bytes.length <= CONTENTS_API_SIZE_LIMIT) {
+      const data = await createOrUpdateFile(owner, repo, path, bytes, message, sha, branch);
+      return data.commit;
+    }
+
+    let targetBranch = branch;
+    if (!targetBranch) {
+      const octokit = Auth.getOctokit();
+      if (!octokit) throw new Error('Not authenticated');
+
+      const { data: repository } = await octokit.repos.get({ owner, repo });
+      targetBranch = repository.default_branch;
+    }
+
+    return commitChanges(owner, repo, targetBranch, [{ path, content: bytes }], message);
+  }
+
+  /**
+   * Open a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Pull request details
+   * @param {string} options.title - Pull request title
+   * @param {string} options.head - Branch containing the changes
+   * @param {string} options.base - Branch the changes should be merged into
+   * @param {string} options.body - Pull request description (optional)
+   * @returns {Promise<Object>} Created pull request object
+   */
+  async function createPullRequest(owner, repo, options) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    const { data } = await octokit.pulls.create({
+      owner,
+      repo,
+      title: options.title,
+      head: options.head,
+      base: options.base,
+      body: options.body || '',
+    });
+
+    return data;
+  }
+
+  /**
+   * List open pull requests that change a given file
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - Path to the file
+   * @param {Object} options - Optional parameters
+   * @param {number} options.per_page - Number of open pull requests to inspect (default: 30)
+   * @returns {Promise<Array>} Array of pull request summaries
+   */
+  async function listPullRequestsForFile(owner, repo, path, options = {}) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    return cachedRead(`pulls:${owner}/${repo}:${path}`, async () => {
+      const { data: pulls } = await octokit.pulls.list({
+        owner,
+        repo,
+        state: 'open',
+        sort: 'updated',
+        direction: 'desc',
+        per_page: options.per_page || 30,
+      });
+
+      // The pulls API can't filter by path, so check each pull request's changed files
+      const matches = await Promise.all(
+        pulls.map(async (pull) => {
+          const files = await octokit.paginate(octokit.pulls.listFiles, {
+            owner,
+            repo,
+            pull_number: pull.number,
+            per_page: 100,
+          });
+          return files.some((file) => file.filename === path || file.previous_filename === path);
+        })
+      );
+
+      return pulls
+        .filter((pull, index) => matches[index])
+        .map((pull) => ({
+          number: pull.number,
+          title: pull.title,
+          url: pull.html_url,
+          draft: pull.draft === true,
+          author: pull.user?.login,
+          head: pull.head.ref,
+          base: pull.base.ref,
+          updatedAt: new Date(pull.updated_at),
+        }));
+    });
+  }
+
+  /**
+   * Commit several file changes at once using the Git Data API
+   *
+   * Unlike createOrUpdateFile/deleteFile (one commit per call), this builds blobs,
+   * a tree and a single commit, then fast-forwards the branch ref. If the branch
+   * moved in the meantime the ref update is rejected, so either every change lands
+   * or none of them do.
+   *
+   * With options.newBranch the commit is built on top of `branch` but `branch` is
+   * left alone: a new branch is created pointing at the commit instead. Nothing is
+   * created on GitHub unless the whole commit could be built.
+   *
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {Array<Object>} changes - File changes to apply:
+   *   { path, content } to create or update a file (content is text or a Uint8Array of raw bytes)
+   *   { path, sha, mode, type } to point a path at an existing object (mode defaults to '100644',
+   *     type to 'blob'; submodules are { mode: '160000', type: 'commit' })
+   *   { path, delete: true, mode, type } to remove a file (or, with its mode and type, a submodule)
+   * @param {string} message - Commit message
+   * @param {Object} options - Optional settings
+   * @param {string} options.newBranch - Create this branch for the commit instead of moving `branch`
+   * @returns {Promise<Object>} Created commit object (sha, tree, parents, etc.)
+   */
+  async function commitChanges(owner, repo, branch, changes, message, options = {}) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    if (!changes || changes.length === 0) {
+      throw new Error('No changes to commit');
+    }
+
+    // Resolve the current head of the branch and its tree
+    const { data: ref } = await octokit.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+    });
+    const parentSha = ref.object.sha;
+
+    const { data: parentCommit } = await octokit.git.getCommit({
+      owner,
+      repo,
+      commit_sha: parentSha,
+    });
+
+    // Upload a blob for every file that gets new content.
+    // Deletions are expressed as tree entries with a null SHA.
+    const treeEntries = await Promise.all(
+      changes.map(async (change) => {
+        if (change.delete) {
+          return { path: change.path, mode: change.mode || '100644', type: change.type || 'blob', sha: null };
+        }
+
+        // Existing blobs (e.g. moved files) don't need to be uploaded again
+        if (change.sha) {
+          return { path: change.path, mode: change.mode || '100644', type: change.type || 'blob', sha: change.sha };
+        }
+
+        const isText = typeof change.content === 'string';
+        const { data: blob } = await octokit.git.createBlob({
+          owner,
+          repo,
+          content: isText ? change.content : Encoding.encodeBytes(change.content),
+          encoding: isText ? 'utf-8' : 'base64',
+        });
+
+        return { path: change.path, mode: '100644', type: 'blob', sha: blob.sha };
+      })
+    );
+
+    const { data: tree } = await octokit.git.createTree({
+      owner,
+      repo,
+      base_tree: parentCommit.tree.sha,
+      tree: treeEntries,
+    });
+
+    const { data: commit } = await octokit.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: tree.sha,
+      parents: [parentSha],
+    });
+
+    if (options.newBranch) {
+      await octokit.git.createRef({
+        owner,
+        repo,
+        ref: `refs/heads/${options.newBranch}`,
+        sha: commit.sha,
+      });
+      return commit;
+    }
+
+    // Fast-forward only: fails if someone else pushed since we read the ref
+    await octokit.git.updateRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+      sha: commit.sha,
+      force: false,
+    });
+
+    return commit;
   }
 
   /**
@@ -224,9 +935,10 @@ export const GitHubAPI = (function () {
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
    * @param {string} folderPath - Path for the new folder
+   * @param {string} branch - Branch to commit to (optional)
    * @returns {Promise<Object>} Commit object
    */
-  async function createFolder(owner, repo, folderPath) {
+  async function createFolder(owner, repo, folderPath, branch = null) {
     // Ensure path ends without trailing slash
     const cleanPath = folderPath.replace(/\/+$/, '');
     const gitkeepPath = `${cleanPath}/.gitkeep`;
@@ -236,21 +948,81 @@ export const GitHubAPI = (function () {
       repo,
       gitkeepPath,
       '', // Empty content
-      `Create folder: ${cleanPath}`
+      `Create folder: ${cleanPath}`,
+      null,
+      branch
     );
   }
 
+  /**
+   * Search file contents in a repository with GitHub code search
+   * Code search only covers a repository's default branch, and GitHub may not
+   * have indexed a repository yet (for example a new one, or a fork).
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} query - Search terms
+   * @param {Object} options - Optional parameters
+   * @param {number} options.per_page - Maximum number of results (default: 50)
+   * @returns {Promise<Array>} Results { path, name, snippets }, snippets are { line: null, text, ranges }
+   */
+  async function searchCode(owner, repo, query, options = {}) {
+    const octokit = Auth.getOctokit();
+    if (!octokit) throw new Error('Not authenticated');
+
+    const { data } = await octokit.search.code({
+      q: `${query} repo:${owner}/${repo}`,
+      per_page: options.per_page || 50,
+      mediaType: { format: 'text-match' }, // Include matching fragments
+    });
+
+    return data.items.map((item) => ({
+      path: item.path,
+      name: item.name,
+      snippets: (item.text_matches || [])
+        .filter((match) => match.property === 'content')
+        .map((match) => ({
+          line: null, // Code search doesn't report line numbers
+          text: match.fragment,
+          ranges: match.matches.map((m) => m.indices),
+        })),
+    }));
+  }
+
+  /**
+   * Forget an account's cached responses (on logout)
+   * @param {string} account - Login (default: the active account)
+   * @returns {Promise<void>}
+   */
+  function clearCache(account = Auth.getActiveAccount()) {
+    return Cache.clear(`${account}:`);
+  }
+
   // Public API
   return {
+    isNetworkError: Cache.isNetworkError,
+    clearCache,
     getUser,
     listRepositories,
     createRepository,
+    listBranches,
+    createBranch,
+    deleteBranch,
     getContents,
+    getTree,
+    getBlob,
     getFileContent,
     createOrUpdateFile,
     deleteFile,
     getFileHistory,
     getFileAtCommit,
+    listFolder,
+    commitChanges,
+    movePath,
+    deleteFolder,
+    uploadFile,
+    createPullRequest,
+    listPullRequestsForFile,
+    searchCode,
     createFolder,
   };
 })();
@@ -0,0 +1,143 @@
+/**
+ * IndexedDB Module
+ *
+ * A minimal promise-based key-value wrapper around IndexedDB.
+ * All data lives in one database; each feature gets its own object store.
+ * To add a store, list it in STORES and bump DB_VERSION.
+ */
+
+export const IDB = (function () {
+  const DB_NAME = 'github-backend';
+  const DB_VERSION = 3;
+
+  // Object stores (out-of-line keys)
+  const STORES = ['search-index', 'api-cache', 'sync-queue', 'token-vault'];
+
+  let dbPromise = null;
+
+  /**
+   * Open the database (once), creating missing object stores
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          STORES.forEach((store) => {
+            if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+          });
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version of the app (in another tab) upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a retry after a failed open (e.g. private browsing)
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against an object store
+   * @param {string} store - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Result of the request
+   */
+  async function run(store, mode, operation) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(store, mode);
+      const request = operation(transaction.objectStore(store));
+
+      // Resolve once the transaction has committed, so writes are durable
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read a value
+   * @param {string} store - Object store name
+   * @param {string} key - Key
+   * @returns {Promise<*>} Stored value, or undefined if there is none
+   */
+  function get(store, key) {
+    return run(store, 'readonly', (objectStore) => objectStore.get(key));
+  }
+
+  /**
+   * Read every value in a store
+   * @param {string} store - Object store name
+   * @returns {Promise<Array>} Stored values, in key order
+   */
+  function getAll(store) {
+    return run(store, 'readonly', (objectStore) => objectStore.getAll());
+  }
+
+  /**
+   * List every key in a store
+   * @param {string} store - Object store name
+   * @returns {Promise<Array<string>>} Keys, in order
+   */
+  function keys(store) {
+    return run(store, 'readonly', (objectStore) => objectStore.getAllKeys());
+  }
+
+  /**
+   * Write a value
+   * @param {string} store - Object store name
+   * @param {string} key - Key
+   * @param {*} value - Value (anything the structured clone algorithm supports)
+   * @returns {Promise<void>}
+   */
+  async function set(store, key, value) {
+    await run(store, 'readwrite', (objectStore) => objectStore.put(value, key));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} store - Object store name
+   * @param {string} key - Key
+   * @returns {Promise<void>}
+   */
+  async function remove(store, key) {
+    await run(store, 'readwrite', (objectStore) => objectStore.delete(key));
+  }
+
+  /**
+   * Delete every value in a store
+   * @param {string} store - Object store name
+   * @returns {Promise<void>}
+   */
+  async function clear(store) {
+    await run(store, 'readwrite', (objectStore) => objectStore.clear());
+  }
+
+  // Public API
+  return {
+    get,
+    getAll,
+    keys,
+    set,
+    remove,
+    clear,
+  };
+})();
@@ -0,0 +1,450 @@
+/**
+ * Markdown Module
+ *
+ * A small GitHub-Flavored Markdown renderer for the live preview.
+ * Supports headings, paragraphs, emphasis, strikethrough, links, images,
+ * autolinks, blockquotes, nested and task lists, tables, fenced and indented
+ * code, and horizontal rules.
+ *
+ * Output is sanitized by construction: all document text is HTML-escaped,
+ * raw HTML in the document is shown as text, and only http(s), mailto and
+ * relative URLs are allowed in links and images.
+ */
+
+export const Markdown = (function () {
+  // Block-level patterns
+  const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+  const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+  const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*)|$)/;
+  const INDENTED_CODE = /^ {4}(.*)$/;
+  const TABLE_DELIMITER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+  const SETEXT_H1 = /^ {0,3}=+[ \t]*$/;
+  const SETEXT_H2 = /^ {0,3}-+[ \t]*$/;
+  const REFERENCE = /^ {0,3}\[([^\]]+)\]:[ \t]*<?(\S+?)>?(?:[ \t]+["'(](.*)["')])?[ \t]*$/;
+
+  // Characters that can be backslash-escaped
+  const ESCAPABLE = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Check a URL and resolve relative URLs
+   * @param {string} url - URL from the document
+   * @param {string} kind - 'link' or 'image'
+   * @param {Object} context - Render context (with optional resolveUrl callback)
+   * @returns {string|null} Safe URL, or null if the URL is not allowed
+   */
+  function safeUrl(url, kind, context) {
+    const trimmed = url.trim().replace(ESCAPABLE, '$1');
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (scheme) {
+      return /^(https?|mailto)$/i.test(scheme[1]) ? trimmed : null;
+    }
+
+    // Relative URL: let the caller map it into the repository
+    if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//') && context.resolveUrl) {
+      return context.resolveUrl(trimmed, kind);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Render inline Markdown (emphasis, code, links, images, ...)
+   * @param {string} text - Inline text
+   * @param {Object} context - Render context
+   * @returns {string} HTML
+   */
+  function renderInline(text, context) {
+    // Finished HTML fragments are held aside as placeholders so later
+    // passes (escaping, emphasis) don't touch them
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+    const link = (label, href, title) => {
+      const url = safeUrl(href, 'link', context);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      // The label is formatted here and held with its <a>, so the final pass doesn't escape it again
+      const inner = format(label);
+      return hold(url === null ? inner : `<a href="${escapeHtml(url)}"${titleAttr}>${inner}</a>`);
+    };
+
+    const image = (alt, src, title) => {
+      const url = safeUrl(src, 'image', context);
+      if (url === null) return hold(escapeHtml(alt));
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return hold(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttr}>`);
+    };
+
+    // Escape what is left as plain text, then apply emphasis
+    const format = (value) =>
+      escapeHtml(value)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    let out = text.replace(/\u0000/g, '');
+
+    // Code spans and escapes first: their content is literal
+    out = out.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+      const trimmed = /^ .* $/.test(code) ? code.slice(1, -1) : code;
+      return hold(`<code>${escapeHtml(trimmed)}</code>`);
+    });
+    out = out.replace(ESCAPABLE, (match, char) => hold(escapeHtml(char)));
+
+    // Autolinks: <https://example.com>
+    out = out.replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) =>
+      hold(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/i, ''))}</a>`)
+    );
+
+    // Images and links: ![alt](src "title"), [text](href "title")
+    // The target may contain balanced parentheses, e.g. https://en.wikipedia.org/wiki/Foo_(bar)
+    const target = /\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+["']([^"']*)["'])?\s*\)/.source;
+    out = out.replace(new RegExp(`!\\[([^\\]]*)\\]${target}`, 'g'), (match, alt, src, title) => image(alt, src, title));
+    out = out.replace(new RegExp(`\\[([^\\]]+)\\]${target}`, 'g'), (match, label, href, title) =>
+      link(label, href, title)
+    );
+
+    // Reference-style images and links: ![alt][ref], [text][ref], [ref]
+    out = out.replace(/(!?)\[([^\]]+)\](?:\[([^\]]*)\])?/g, (match, bang, label, ref) => {
+      const definition = context.references.get((ref || label).trim().toLowerCase());
+      if (!definition) return match;
+      return bang ? image(label, definition.url, definition.title) : link(label, definition.url, definition.title);
+    });
+
+    // Bare URLs (GFM autolink extension)
+    out = out.replace(/(^|[\s(])((?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]])/gi, (match, before, url) => {
+      const href = url.startsWith('www.') ? `http://${url}` : url;
+      return before + hold(`<a href="${escapeHtml(href)}">${escapeHtml(url)}</a>`);
+    });
+
+    // Hard line breaks: two trailing spaces or a trailing backslash
+    out = out.replace(/(?: {2,}|\\)\n/g, () => hold('<br>'));
+
+    out = format(out);
+
+    // Restore held fragments (they may themselves contain placeholders)
+    while (/\u0000\d+\u0000/.test(out)) {
+      out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => held[Number(index)]);
+    }
+
+    return out;
+  }
+
+  /**
+   * Split a table row into cells
+   * @param {string} line - Table row
+   * @returns {Array<string>} Cell contents
+   */
+  function splitTableRow(line) {
+    return line
+      .trim()
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * Check whether a line starts a block that interrupts a paragraph
+   * @param {string} line - Line to check
+   * @returns {boolean} True if the line starts a heading, fence, rule, quote or list
+   */
+  function startsBlock(line) {
+    if (FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line)) return true;
+
+    // Only bullets and lists starting at 1 may interrupt a paragraph
+    const item = line.match(LIST_ITEM);
+    return Boolean(item && item[3] && (/^[-*+]$/.test(item[2]) || /^1[.)]$/.test(item[2])));
+  }
+
+  /**
+   * Get the indentation width of a line
+   * @param {string} line - Line to measure
+   * @returns {number} Number of leading spaces
+   */
+  function indentOf(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  /**
+   * Render a list starting at the given line
+   * @param {Array<string>} lines - Document lines
+   * @param {number} start - Index of the first list item
+   * @param {Object} context - Render context
+   * @returns {Object} { html, next } where next is the index after the list
+   */
+  function renderList(lines, start, context) {
+    const first = lines[start].match(LIST_ITEM);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const delimiter = first[2].slice(-1);
+
+    // Items of the same list share indentation, list type and delimiter
+    const continuesList = (item) =>
+      Boolean(item) &&
+      item[1].length === baseIndent &&
+      /\d/.test(item[2]) === ordered &&
+      item[2].slice(-1) === delimiter;
+
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const item = lines[i].match(LIST_ITEM);
+      if (!continuesList(item)) break;
+
+      const contentIndent = baseIndent + item[2].length + 1;
+      const itemLines = [item[3] || ''];
+      i++;
+
+      while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+          // A blank line continues the item only if indented content follows
+          let next = i + 1;
+          while (next < lines.length && lines[next].trim() === '') next++;
+          if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+            itemLines.push('');
+            i++;
+            continue;
+          }
+          // A blank line between items makes the list loose
+          if (next < lines.length && continuesList(lines[next].match(LIST_ITEM))) loose = true;
+          i = next;
+          break;
+        }
+
+        if (indentOf(line) > baseIndent) {
+          itemLines.push(line.slice(Math.min(contentIndent, indentOf(line))));
+        } else if (!LIST_ITEM.test(line) && !startsBlock(line)) {
+          // Lazy continuation of the item's paragraph
+          itemLines.push(line);
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      if (itemLines.slice(0, -1).includes('') || (itemLines.length > 1 && itemLines[itemLines.length - 1] === '')) {
+        loose = true;
+      }
+      items.push(itemLines);
+    }
+
+    const html = items.map((itemLines) => {
+      const task = itemLines[0].match(/^\[([ xX])\][ \t]+(.*)$/);
+      if (task) {
+        itemLines[0] = task[2];
+        const checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+        return `<li class="task-list-item">${checkbox}${renderBlocks(itemLines, context, !loose)}</li>`;
+      }
+      return `<li>${renderBlocks(itemLines, context, !loose)}</li>`;
+    });
+
+    const number = parseInt(first[2], 10);
+    const open = ordered ? (number !== 1 ? `<ol start="${number}">` : '<ol>') : '<ul>';
+    return { html: `${open}\n${html.join('\n')}\n${ordered ? '</ol>' : '</ul>'}`, next: i };
+  }
+
+  /**
+   * Render block-level Markdown
+   * @param {Array<string>} lines - Lines to render
+   * @param {Object} context - Render context
+   * @param {boolean} tight - Render paragraphs without <p> tags (items of tight lists)
+   * @returns {string} HTML
+   */
+  function renderBlocks(lines, context, tight = false) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = line.match(FENCE);
+      if (fence) {
+        const marker = fence[1];
+        const code = [];
+        i++;
+        while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`).test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Skip the closing fence
+        const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // ATX heading
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${renderInline(heading[2] || '', context)}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (RULE.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+
+      // Blockquote
+      if (BLOCKQUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() !== '') {
+          const match = lines[i].match(BLOCKQUOTE);
+          if (!match && startsBlock(lines[i])) break;
+          quoted.push(match ? match[1] : lines[i]);
+          i++;
+        }
+        html.push(`<blockquote>\n${renderBlocks(quoted, context)}\n</blockquote>`);
+        continue;
+      }
+
+      // List
+      if (LIST_ITEM.test(line)) {
+        const list = renderList(lines, i, context);
+        html.push(list.html);
+        i = list.next;
+        continue;
+      }
+
+      // Indented code block
+      if (INDENTED_CODE.test(line)) {
+        const code = [];
+        while (i < lines.length && (INDENTED_CODE.test(lines[i]) || lines[i].trim() === '')) {
+          code.push(lines[i].replace(/^ {1,4}/, ''));
+          i++;
+        }
+        while (code.length > 0 && code[code.length - 1].trim() === '') code.pop();
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Table: header row followed by a delimiter row
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) {
+        const header = splitTableRow(line);
+        const alignments = splitTableRow(lines[i + 1]).map((cell) => {
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
+          if (cell.startsWith(':')) return 'left';
+          return null;
+        });
+        const cell = (tag, content, index) => {
+          const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+          return `<${tag}${align}>${renderInline(content || '', context)}</${tag}>`;
+        };
+
+        i += 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|') && !startsBlock(lines[i])) {
+          const cells = splitTableRow(lines[i]);
+          rows.push(`<tr>${header.map((h, index) => cell('td', cells[index], index)).join('')}</tr>`);
+          i++;
+        }
+
+        html.push(
+          '<table>\n' +
+            `<thead>\n<tr>${header.map((h, index) => cell('th', h, index)).join('')}</tr>\n</thead>\n` +
+            (rows.length > 0 ? `<tbody>\n${rows.join('\n')}\n</tbody>\n` : '') +
+            '</table>'
+        );
+        continue;
+      }
+
+      // Paragraph (possibly a setext heading)
+      const paragraph = [];
+      let setextLevel = 0;
+      while (i < lines.length && lines[i].trim() !== '') {
+        if (paragraph.length > 0 && SETEXT_H1.test(lines[i])) {
+          setextLevel = 1;
+          i++;
+          break;
+        }
+        if (paragraph.length > 0 && SETEXT_H2.test(lines[i])) {
+          setextLevel = 2;
+          i++;
+          break;
+        }
+        if (paragraph.length > 0 && startsBlock(lines[i])) break;
+        if (paragraph.length > 0 && lines[i].includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '')) break;
+        paragraph.push(lines[i].replace(/^ +/, ''));
+        i++;
+      }
+
+      const content = renderInline(paragraph.join('\n').replace(/[ \t]+$/, ''), context);
+      if (setextLevel) {
+        html.push(`<h${setextLevel}>${content}</h${setextLevel}>`);
+      } else {
+        html.push(tight ? content : `<p>${content}</p>`);
+      }
+    }
+
+    return html.join('\n');
+  }
+
+  /**
+   * Render a Markdown document to sanitized HTML
+   * @param {string} text - Markdown source
+   * @param {Object} options - Optional settings
+   * @param {Function} options.resolveUrl - Maps relative URLs: (url, kind) => absolute URL, kind is 'link' or 'image'
+   * @returns {string} HTML
+   */
+  function render(text, options = {}) {
+    const lines = (text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+
+    // Collect link reference definitions (outside code blocks) and drop them from the output
+    const references = new Map();
+    const body = [];
+    let fence = null;
+    lines.forEach((line) => {
+      const fenceMatch = line.match(FENCE);
+      if (fenceMatch && (!fence || fenceMatch[1][0] === fence[0])) {
+        fence = fence ? null : fenceMatch[1];
+      }
+
+      const reference = fence ? null : line.match(REFERENCE);
+      if (reference) {
+        references.set(reference[1].trim().toLowerCase(), { url: reference[2], title: reference[3] });
+      } else {
+        body.push(line);
+      }
+    });
+
+    return renderBlocks(body, { references, resolveUrl: options.resolveUrl });
+  }
+
+  // Public API
+  return {
+    render,
+  };
+})();
@@ -0,0 +1,246 @@
+/**
+ * Rate Limit Module
+ *
+ * Request middleware for Octokit that keeps the app within GitHub's API limits:
+ * - Tracks the remaining quota from the x-ratelimit-* response headers, per account
+ *   (GitHub counts requests per user, so one account's limit doesn't hold back another)
+ * - Limits how many requests run at the same time
+ * - Retries requests hit by a rate limit (403/429), waiting as long as GitHub asks
+ *   (retry-after, or until the quota resets), and retries failed reads with
+ *   exponential backoff
+ *
+ * See https://docs.github.com/en/rest/using-the-rest-api/rate-limits-for-the-rest-api
+ */
+
+export const RateLimit = (function () {
+  // Requests running at the same time; the rest wait in a queue
+  const MAX_CONCURRENT = 6;
+
+  // Retries per request, and the first backoff delay (doubled on every retry)
+  const MAX_RETRIES = 3;
+  const BASE_DELAY = 1000;
+
+  // GitHub asks to wait at least a minute after a secondary rate limit without retry-after
+  const SECONDARY_LIMIT_DELAY = 60 * 1000;
+
+  // Longer waits fail the request instead of leaving the user waiting
+  const MAX_WAIT = 2 * 60 * 1000;
+
+  // Rate limit state per account login: { quotas, waitingUntil }
+  // - quotas: latest quota per resource ('core', 'search', ...): { limit, remaining, reset }
+  // - waitingUntil: when the request waiting longest for a rate limit will be retried (null if none is waiting)
+  const accounts = new Map();
+
+  const listeners = [];
+
+  // Concurrency limit
+  let activeRequests = 0;
+  const queue = [];
+
+  /**
+   * Wait for a free request slot
+   * @returns {Promise<void>}
+   */
+  function acquire() {
+    if (activeRequests < MAX_CONCURRENT) {
+      activeRequests++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => queue.push(resolve));
+  }
+
+  /**
+   * Free a request slot, handing it to the next queued request
+   */
+  function release() {
+    const next = queue.shift();
+    if (next) {
+      next();
+    } else {
+      activeRequests--;
+    }
+  }
+
+  /**
+   * Get the rate limit state of an account, creating it on first use
+   * @param {string} account - Account login
+   * @returns {Object} { quotas, waitingUntil }
+   */
+  function getAccountState(account) {
+    if (!accounts.has(account)) {
+      accounts.set(account, { quotas: {}, waitingUntil: null });
+    }
+    return accounts.get(account);
+  }
+
+  /**
+   * Get an account's REST API quota and waiting state
+   * @param {string} account - Account login
+   * @returns {Object} { account, quota, waitingUntil } (quota is null before the first response)
+   */
+  function getStatus(account) {
+    const { quotas, waitingUntil } = getAccountState(account);
+    return { account, quota: quotas.core || null, waitingUntil };
+  }
+
+  /**
+   * Tell listeners about a change of an account's quota or waiting state
+   * @param {string} account - Account login
+   */
+  function notify(account) {
+    const status = getStatus(account);
+    listeners.forEach((listener) => listener(status));
+  }
+
+  /**
+   * Record the quota reported by a response
+   * @param {string} account - Account login the request was made with
+   * @param {Object} headers - Response headers (lowercase names)
+   */
+  function update(account, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) return;
+
+    getAccountState(account).quotas[headers['x-ratelimit-resource'] || 'core'] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+    };
+    notify(account);
+  }
+
+  /**
+   * Get an account's latest known quota
+   * @param {string} account - Account login
+   * @param {string} resource - Rate limit resource (default: 'core', the REST API)
+   * @returns {Object|null} { limit, remaining, reset }, or null before the first response
+   */
+  function getQuota(account, resource = 'core') {
+    return getAccountState(account).quotas[resource] || null;
+  }
+
+  /**
+   * Register a listener for quota changes
+   * @param {Function} listener - Called with { account, quota, waitingUntil } (see getStatus)
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed request
+   * @param {Error} error - Octokit request error
+   * @param {number} attempt - Retries made so far
+   * @param {string} method - HTTP method
+   * @returns {number|null} Delay in milliseconds, or null if the request shouldn't be retried
+   */
+  function getRetryDelay(error, attempt, method) {
+    const headers = error.response?.headers || {};
+    const retryAfter = Number(headers['retry-after']);
+    const isExhausted = headers['x-ratelimit-remaining'] === '0';
+
+    const isRateLimited =
+      error.status === 429 ||
+      (error.status === 403 && (isExhausted || retryAfter > 0 || /rate limit/i.test(error.message)));
+
+    if (isRateLimited) {
+      if (retryAfter > 0) return retryAfter * 1000;
+      // Primary rate limit: the quota comes back at the reset time
+      if (isExhausted) return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+      return SECONDARY_LIMIT_DELAY * 2 ** attempt;
+    }
+
+    // Server errors: retry reads only, writes may have gone through
+    if (error.status >= 500 && method === 'GET') {
+      return BASE_DELAY * 2 ** attempt + Math.random() * BASE_DELAY;
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait before a retry, letting listeners show that the account's requests are on hold
+   * @param {string} account - Account login
+   * @param {number} delay - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  async function wait(account, delay) {
+    const state = getAccountState(account);
+    const until = new Date(Date.now() + delay);
+    if (!state.waitingUntil || until > state.waitingUntil) {
+      state.waitingUntil = until;
+      notify(account);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    if (state.waitingUntil && state.waitingUntil <= new Date()) {
+      state.waitingUntil = null;
+      notify(account);
+    }
+  }
+
+  /**
+   * Send a request within the limits: throttle, record the quota and retry
+   * Requests made without Octokit (e.g. with fetch()) use this directly, so they
+   * count towards the same limits. `send` must resolve to a response and reject with
+   * an error shaped like Octokit's: both carry the headers (lowercase names), the
+   * error as error.response.headers, and the error has the HTTP status.
+   * @param {string} account - Account login the request is made for
+   * @param {string} method - HTTP method
+   * @param {Function} send - Sends the request (called again for every retry)
+   * @returns {Promise<Object>} Response
+   */
+  async function schedule(account, method, send) {
+    await acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await send();
+          update(account, response.headers);
+          return response;
+        } catch (error) {
+          update(account, error.response?.headers);
+
+          const delay = attempt < MAX_RETRIES ? getRetryDelay(error, attempt, method) : null;
+          if (delay === null) throw error;
+
+          if (delay > MAX_WAIT) {
+            const retryAt = new Date(Date.now() + delay).toLocaleTimeString();
+            const limited = new Error(`GitHub API rate limit exceeded. Try again after ${retryAt}.`);
+            limited.status = error.status;
+            throw limited;
+          }
+
+          // Give the slot to other requests (e.g. another account's) while this one waits
+          release();
+          try {
+            await wait(account, delay);
+          } finally {
+            await acquire();
+          }
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Add the middleware to an Octokit instance
+   * @param {Octokit} octokit - Octokit instance
+   * @param {string} account - Account login the instance makes requests for
+   */
+  function install(octokit, account) {
+    octokit.hook.wrap('request', (request, options) => schedule(account, options.method, () => request(options)));
+  }
+
+  // Public API
+  return {
+    install,
+    schedule,
+    getQuota,
+    getStatus,
+    onChange,
+  };
+})();
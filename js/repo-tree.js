@@ -0,0 +1,154 @@
+/**
+ * Repository Tree Module
+ *
+ * Helpers for working with a repository's full file tree (as returned by
+ * GitHubAPI.getTree) in memory: listing a folder, finding everything under a
+ * folder, and applying local changes so the tree stays current after writes
+ * without fetching it again.
+ *
+ * Tree items use the same shape as Contents API items:
+ * { name, path, type: 'file'|'dir', sha, size, mode }
+ */
+
+export const RepoTree = (function () {
+  /**
+   * Get the parent folder of a path
+   * @param {string} path - File or folder path
+   * @returns {string} Parent path ('' for the repository root)
+   */
+  function parentPath(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.substring(0, index);
+  }
+
+  /**
+   * Resolve a relative path (as used in Markdown links) against a folder
+   * @param {string} folderPath - Folder the path is relative to ('' for the repository root)
+   * @param {string} relativePath - Relative path; './' and '../' are allowed, a leading '/' means the repository root
+   * @returns {string} Repository path
+   */
+  function resolvePath(folderPath, relativePath) {
+    const segments = relativePath.startsWith('/') ? [] : folderPath.split('/').filter(Boolean);
+
+    relativePath.split('/').forEach((segment) => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    });
+
+    return segments.join('/');
+  }
+
+  /**
+   * Convert Git tree entries into tree items
+   * @param {Array} entries - Entries from the Git Trees API ({ path, type: 'blob'|'tree'|'commit', sha, size, mode })
+   * @returns {Array<Object>} Tree items
+   */
+  function fromGitEntries(entries) {
+    return entries
+      .filter((entry) => entry.type === 'blob' || entry.type === 'tree')
+      .map((entry) => ({
+        name: entry.path.split('/').pop(),
+        path: entry.path,
+        type: entry.type === 'tree' ? 'dir' : 'file',
+        sha: entry.sha,
+        size: entry.size || 0,
+        mode: entry.mode,
+      }));
+  }
+
+  /**
+   * List the direct children of a folder
+   * @param {Array<Object>} items - Tree items
+   * @param {string} folderPath - Folder path ('' for the repository root)
+   * @returns {Array<Object>} Items directly inside the folder
+   */
+  function listChildren(items, folderPath) {
+    return items.filter((item) => parentPath(item.path) === folderPath);
+  }
+
+  /**
+   * List every file below a folder (at any depth)
+   * @param {Array<Object>} items - Tree items
+   * @param {string} folderPath - Folder path
+   * @returns {Array<Object>} File items inside the folder or its subfolders
+   */
+  function listDescendantFiles(items, folderPath) {
+    const prefix = folderPath ? `${folderPath}/` : '';
+    return items.filter((item) => item.type === 'file' && item.path.startsWith(prefix));
+  }
+
+  /**
+   * Group items by their parent folder
+   * @param {Array<Object>} items - Tree items
+   * @returns {Map<string, Array<Object>>} Map of folder path to its direct children
+   */
+  function groupByFolder(items) {
+    const folders = new Map();
+    items.forEach((item) => {
+      const parent = parentPath(item.path);
+      if (!folders.has(parent)) folders.set(parent, []);
+      folders.get(parent).push(item);
+    });
+    return folders;
+  }
+
+  /**
+   * Apply file changes to the tree, the same way a commit would
+   * Missing parent folders are created, and folders left empty by deletions are removed.
+   * @param {Array<Object>} items - Tree items
+   * @param {Array<Object>} changes - Changes: { path, sha, size } to add/update a file, { path, delete: true } to remove one
+   * @returns {Array<Object>} Updated tree items
+   */
+  function applyChanges(items, changes) {
+    const byPath = new Map(items.map((item) => [item.path, item]));
+
+    changes.forEach((change) => {
+      if (change.delete) {
+        byPath.delete(change.path);
+        return;
+      }
+
+      byPath.set(change.path, {
+        ...byPath.get(change.path),
+        name: change.path.split('/').pop(),
+        path: change.path,
+        type: 'file',
+        sha: change.sha || null,
+        size: change.size || 0,
+      });
+
+      // Make sure every ancestor folder exists
+      for (let folder = parentPath(change.path); folder; folder = parentPath(folder)) {
+        if (byPath.has(folder)) break;
+        byPath.set(folder, { name: folder.split('/').pop(), path: folder, type: 'dir', sha: null, size: 0 });
+      }
+    });
+
+    // Git has no empty folders: drop folders that no longer contain any file
+    const updated = Array.from(byPath.values());
+    const nonEmpty = new Set();
+    updated
+      .filter((item) => item.type === 'file')
+      .forEach((item) => {
+        for (let folder = parentPath(item.path); folder && !nonEmpty.has(folder); folder = parentPath(folder)) {
+          nonEmpty.add(folder);
+        }
+      });
+
+    return updated.filter((item) => item.type !== 'dir' || nonEmpty.has(item.path));
+  }
+
+  // Public API
+  return {
+    parentPath,
+    resolvePath,
+    fromGitEntries,
+    listChildren,
+    listDescendantFiles,
+    groupByFolder,
+    applyChanges,
+  };
+})();
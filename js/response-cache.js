@@ -0,0 +1,84 @@
+/**
+ * Response Cache Module
+ *
+ * Conditional requests for Octokit: GET responses are kept in memory with their
+ * ETag, and repeating a request sends If-None-Match. When nothing changed GitHub
+ * answers 304 Not Modified, which doesn't count against the rate limit, and the
+ * kept response is returned instead.
+ *
+ * Writes to a repository drop the cached responses of that repository, since
+ * GitHub may briefly keep serving the old ETag after a change.
+ */
+
+export const ResponseCache = (function () {
+  // Responses kept per Octokit instance (least recently used are dropped first)
+  const MAX_ENTRIES = 200;
+
+  /**
+   * Get the part of a URL whose cached responses a write to it affects
+   * @param {string} url - Request URL
+   * @returns {string} URL prefix: the repository for repository endpoints, the path otherwise
+   */
+  function getScope(url) {
+    const path = new URL(url).pathname;
+    const repository = path.match(/^\/repos\/[^/]+\/[^/]+/);
+    return repository ? repository[0] : path;
+  }
+
+  /**
+   * Add conditional requests to an Octokit instance
+   * Each instance (and so each token) gets its own cache.
+   * @param {Octokit} octokit - Octokit instance
+   */
+  function install(octokit) {
+    // Media type and request URL -> { url, etag, response }
+    const entries = new Map();
+
+    octokit.hook.wrap('request', async (request, options) => {
+      const { method, url, headers } = octokit.request.endpoint.parse(options);
+
+      if (method !== 'GET') {
+        const response = await request(options);
+
+        // Compare whole path segments, so a write to owner/repo leaves owner/repo-docs alone
+        const scope = getScope(url);
+        entries.forEach((entry, key) => {
+          const path = new URL(entry.url).pathname;
+          if (path === scope || path.startsWith(`${scope}/`)) entries.delete(key);
+        });
+
+        return response;
+      }
+
+      const key = `${headers.accept} ${url}`;
+      const cached = entries.get(key);
+      const conditional = cached
+        ? { ...options, headers: { ...options.headers, 'if-none-match': cached.etag } }
+        : options;
+
+      try {
+        const response = await request(conditional);
+
+        entries.delete(key);
+        if (response.headers.etag) {
+          entries.set(key, { url, etag: response.headers.etag, response });
+          if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+        }
+
+        return response;
+      } catch (error) {
+        if (error.status !== 304 || !cached) throw error;
+
+        // Not modified: mark the entry as recently used and serve it
+        entries.delete(key);
+        entries.set(key, cached);
+        return { ...cached.response };
+      }
+    });
+  }
+
+  // Public API
+  return {
+    install,
+  };
+})();
@@ -0,0 +1,231 @@
+/**
+ * Search Index Module
+ *
+ * A client-side inverted index over a repository's text files, used for
+ * full-text search when GitHub code search is unavailable (for example on
+ * branches other than the default branch). Each index is stored in IndexedDB
+ * per repository and branch, and is brought up to date incrementally by
+ * comparing blob SHAs with the repository tree.
+ *
+ * Index shape: { docs: { [path]: { sha, text } }, postings: { [term]: [path, ...] } }
+ * Files that turned out to be binary are kept with text: null so they aren't downloaded again.
+ */
+
+import { IDB } from './idb.js';
+import { FileTypes } from './file-types.js';
+
+export const SearchIndex = (function () {
+  const STORE = 'search-index';
+
+  // Files larger than this are not indexed
+  const MAX_FILE_SIZE = 1024 * 1024;
+
+  // Matching lines shown per file, and characters shown per line
+  const MAX_SNIPPETS = 3;
+  const SNIPPET_LENGTH = 200;
+
+  // Terms: runs of at least two letters or digits
+  const TERM = /[\p{L}\p{N}_]{2,}/gu;
+
+  /**
+   * Split text into unique lowercase terms
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Terms
+   */
+  function tokenize(text) {
+    return Array.from(new Set((text || '').toLowerCase().match(TERM) || []));
+  }
+
+  /**
+   * Create an empty index
+   * @returns {Object} Index
+   */
+  function create() {
+    return { docs: {}, postings: {} };
+  }
+
+  /**
+   * Add or replace a document in the index
+   * @param {Object} index - Index
+   * @param {string} path - File path
+   * @param {string} sha - Blob SHA of the indexed content
+   * @param {string|null} text - File content (null for files that aren't text)
+   */
+  function addDocument(index, path, sha, text) {
+    removeDocument(index, path);
+    index.docs[path] = { sha, text };
+
+    tokenize(text).forEach((term) => {
+      if (!index.postings[term]) index.postings[term] = [];
+      index.postings[term].push(path);
+    });
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {Object} index - Index
+   * @param {string} path - File path
+   */
+  function removeDocument(index, path) {
+    const doc = index.docs[path];
+    if (!doc) return;
+
+    tokenize(doc.text).forEach((term) => {
+      const paths = index.postings[term];
+      if (!paths) return;
+      const position = paths.indexOf(path);
+      if (position !== -1) paths.splice(position, 1);
+      if (paths.length === 0) delete index.postings[term];
+    });
+
+    delete index.docs[path];
+  }
+
+  /**
+   * Compare the index with the repository tree
+   * @param {Object} index - Index
+   * @param {Array<Object>} items - Tree items (from RepoTree)
+   * @returns {Object} { outdated, removed }: new or changed file items, and indexed paths no longer in the tree
+   */
+  function findChanges(index, items) {
+    const files = items.filter(
+      (item) => item.type === 'file' && item.size <= MAX_FILE_SIZE && !FileTypes.isBinaryName(item.path)
+    );
+    const paths = new Set(files.map((item) => item.path));
+
+    return {
+      outdated: files.filter((item) => !index.docs[item.path] || index.docs[item.path].sha !== item.sha),
+      removed: Object.keys(index.docs).filter((path) => !paths.has(path)),
+    };
+  }
+
+  /**
+   * Find the lines of a document that contain any of the terms
+   * @param {string} text - Document text
+   * @param {Array<string>} terms - Lowercase search terms
+   * @returns {Object} { snippets, score }: snippets are { line, text, ranges } with [start, end] ranges to highlight
+   */
+  function findSnippets(text, terms) {
+    const snippets = [];
+    let score = 0;
+
+    text.split('\n').forEach((line, lineIndex) => {
+      const lower = line.toLowerCase();
+      const ranges = [];
+      terms.forEach((term) => {
+        for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+          ranges.push([i, i + term.length]);
+        }
+      });
+      if (ranges.length === 0) return;
+
+      score += ranges.length;
+      if (snippets.length >= MAX_SNIPPETS) return;
+
+      // Merge overlapping ranges
+      ranges.sort((a, b) => a[0] - b[0]);
+      const merged = [ranges[0]];
+      ranges.slice(1).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+      });
+
+      // Show a window of long lines around the first match
+      const start = line.length > SNIPPET_LENGTH ? Math.max(0, merged[0][0] - 60) : 0;
+      const end = Math.min(line.length, start + SNIPPET_LENGTH);
+      const prefix = start > 0 ? '…' : '';
+      const offset = prefix.length - start;
+
+      snippets.push({
+        line: lineIndex + 1,
+        text: prefix + line.slice(start, end) + (end < line.length ? '…' : ''),
+        ranges: merged.filter(([from]) => from < end).map(([from, to]) => [from + offset, Math.min(to, end) + offset]),
+      });
+    });
+
+    return { snippets, score };
+  }
+
+  /**
+   * Search the index
+   * Every word of the query must appear in a file; words match as prefixes ("doc" finds "documents").
+   * @param {Object} index - Index
+   * @param {string} query - Search query
+   * @param {Object} options - Optional settings
+   * @param {number} options.limit - Maximum number of results (default: 50)
+   * @returns {Array<Object>} Results { path, name, snippets } with the best matches first
+   */
+  function search(index, query, options = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const indexedTerms = Object.keys(index.postings);
+    let candidates = null;
+
+    for (const term of terms) {
+      const paths = new Set();
+      indexedTerms
+        .filter((indexed) => indexed.startsWith(term))
+        .forEach((indexed) => index.postings[indexed].forEach((path) => paths.add(path)));
+
+      candidates = candidates ? new Set([...candidates].filter((path) => paths.has(path))) : paths;
+      if (candidates.size === 0) return [];
+    }
+
+    return [...candidates]
+      .map((path) => ({ path, name: path.split('/').pop(), ...findSnippets(index.docs[path].text, terms) }))
+      .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+      .slice(0, options.limit || 50)
+      .map(({ path, name, snippets }) => ({ path, name, snippets }));
+  }
+
+  /**
+   * Load an index from IndexedDB
+   * @param {string} key - Index key (repository and branch)
+   * @returns {Promise<Object>} Stored index, or an empty one
+   */
+  async function load(key) {
+    return (await IDB.get(STORE, key)) || create();
+  }
+
+  /**
+   * Save an index to IndexedDB
+   * @param {string} key - Index key (repository and branch)
+   * @param {Object} index - Index
+   * @returns {Promise<void>}
+   */
+  async function save(key, index) {
+    await IDB.set(STORE, key, index);
+  }
+
+  /**
+   * Update one document in a stored index (after a save), if that index exists
+   * @param {string} key - Index key (repository and branch)
+   * @param {string} path - File path
+   * @param {string} sha - New blob SHA
+   * @param {string} text - New content
+   * @returns {Promise<void>}
+   */
+  async function updateDocument(key, path, sha, text) {
+    const index = await IDB.get(STORE, key);
+    if (!index) return;
+
+    addDocument(index, path, sha, text);
+    await save(key, index);
+  }
+
+  // Public API
+  return {
+    addDocument,
+    removeDocument,
+    findChanges,
+    search,
+    load,
+    save,
+    updateDocument,
+  };
+})();
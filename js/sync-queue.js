@@ -0,0 +1,86 @@
+/**
+ * Sync Queue Module
+ *
+ * Edits saved while offline, kept in IndexedDB until they can be committed.
+ * There is at most one queued edit per file (per user, repository and branch).
+ * Each entry remembers the version the edit started from (baseSha, baseContent),
+ * so conflicts can be detected against the remote SHA on sync.
+ *
+ * Entry shape: { key, user, owner, repo, branch, path, name, baseSha, baseContent, content, message, queuedAt }
+ */
+
+import { IDB } from './idb.js';
+
+export const SyncQueue = (function () {
+  const STORE = 'sync-queue';
+
+  /**
+   * Build the key of a queued edit
+   * @param {string} user - Login of the user who made the edit
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch the edit will be committed to
+   * @param {string} path - File path
+   * @returns {string} Key
+   */
+  function keyFor(user, owner, repo, branch, path) {
+    return `${user}:${owner}/${repo}@${branch}:${path}`;
+  }
+
+  /**
+   * Queue an edit, replacing any queued edit of the same file
+   * @param {Object} edit - { user, owner, repo, branch, path, name, baseSha, baseContent, content, message }
+   * @returns {Promise<Object>} Queued entry
+   */
+  async function enqueue(edit) {
+    const entry = {
+      ...edit,
+      key: keyFor(edit.user, edit.owner, edit.repo, edit.branch, edit.path),
+      queuedAt: Date.now(),
+    };
+
+    await IDB.set(STORE, entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * Get the queued edit of a file
+   * @param {string} user - User login
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch
+   * @param {string} path - File path
+   * @returns {Promise<Object|undefined>} Queued entry, if any
+   */
+  function get(user, owner, repo, branch, path) {
+    return IDB.get(STORE, keyFor(user, owner, repo, branch, path));
+  }
+
+  /**
+   * Remove a queued edit (once committed or discarded)
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  function remove(key) {
+    return IDB.remove(STORE, key);
+  }
+
+  /**
+   * List a user's queued edits, oldest first
+   * @param {string} user - User login
+   * @returns {Promise<Array<Object>>} Queued entries
+   */
+  async function list(user) {
+    const entries = await IDB.getAll(STORE);
+    return entries.filter((entry) => entry.user === user).sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  // Public API
+  return {
+    keyFor,
+    enqueue,
+    get,
+    remove,
+    list,
+  };
+})();
@@ -0,0 +1,91 @@
+/**
+ * Token Vault Module
+ *
+ * Keeps remembered ("remember me") sessions in IndexedDB, so they survive
+ * closing the browser. Each account's session is encrypted with AES-GCM under
+ * a non-extractable WebCrypto key stored next to it: the browser can decrypt
+ * with the key, but its raw bytes can't be read or copied to another device.
+ * A new key is generated every time a session is saved.
+ *
+ * Record shape: { account, key: CryptoKey, iv: Uint8Array, data: ArrayBuffer }
+ */
+
+import { IDB } from './idb.js';
+
+export const TokenVault = (function () {
+  const STORE = 'token-vault';
+
+  /**
+   * Encrypt and store an account's session, replacing the stored one
+   * @param {string} account - Login
+   * @param {Object} session - Session (see auth.js)
+   * @returns {Promise<void>}
+   */
+  async function save(account, session) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(session))
+    );
+
+    await IDB.set(STORE, account, { account, key, iv, data });
+  }
+
+  /**
+   * Decrypt a record
+   * A record that can't be decrypted is deleted.
+   * @param {Object} record - Stored record
+   * @returns {Promise<Object|null>} Session, or null
+   */
+  async function decrypt(record) {
+    try {
+      const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, record.key, record.data);
+      return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      console.error('Discarding unreadable remembered session:', error);
+      await remove(record.account);
+      return null;
+    }
+  }
+
+  /**
+   * Load and decrypt an account's session
+   * @param {string} account - Login
+   * @returns {Promise<Object|null>} Session, or null if there is none
+   */
+  async function load(account) {
+    const record = await IDB.get(STORE, account);
+    return record ? decrypt(record) : null;
+  }
+
+  /**
+   * Load and decrypt every remembered session
+   * @returns {Promise<Array<Object>>} Sessions { account, session }
+   */
+  async function loadAll() {
+    const records = await IDB.getAll(STORE);
+    const sessions = await Promise.all(
+      records.map(async (record) => ({ account: record.account, session: await decrypt(record) }))
+    );
+    return sessions.filter(({ session }) => session !== null);
+  }
+
+  /**
+   * Delete an account's session
+   * @param {string} account - Login
+   * @returns {Promise<void>}
+   */
+  function remove(account) {
+    return IDB.remove(STORE, account);
+  }
+
+  // Public API
+  return {
+    save,
+    load,
+    loadAll,
+    remove,
+  };
+})();
@@ -6,6 +6,9 @@
  */
 
 import { CONFIG } from './config.js';
+import { RepoTree } from './repo-tree.js';
+import { FileTypes } from './file-types.js';
+import { Markdown } from './markdown.js';
 
 export const UI = (function () {
   // DOM element references (cached for performance)
@@ -16,19 +19,43 @@ export const UI = (function () {
 
     // Login
     loginBtn: document.getElementById('login-btn'),
+    deviceLoginBtn: document.getElementById('device-login-btn'),
+    tokenForm: document.getElementById('token-form'),
+    tokenInput: document.getElementById('token-input'),
+    rememberMe: document.getElementById('remember-me'),
+    loginCancelBtn: document.getElementById('login-cancel-btn'),
 
     // Header
     userInfo: document.getElementById('user-info'),
+    accountMenu: document.getElementById('account-menu'),
+    accountList: document.getElementById('account-list'),
+    offlineIndicator: document.getElementById('offline-indicator'),
+    rateLimit: document.getElementById('rate-limit'),
     logoutBtn: document.getElementById('logout-btn'),
 
     // Repository
-    repoSelect: document.getElementById('repo-select'),
+    repoPickerBtn: document.getElementById('repo-picker-btn'),
+    repoPickerMenu: document.getElementById('repo-picker-menu'),
+    repoSearch: document.getElementById('repo-search'),
+    repoAffiliation: document.getElementById('repo-affiliation'),
+    repoList: document.getElementById('repo-list'),
     createRepoBtn: document.getElementById('create-repo-btn'),
 
+    // Branch
+    branchSelect: document.getElementById('branch-select'),
+    createBranchBtn: document.getElementById('create-branch-btn'),
+
     // Navigation
     breadcrumb: document.getElementById('breadcrumb'),
     createFolderBtn: document.getElementById('create-folder-btn'),
 
+    // Search
+    searchForm: document.getElementById('search-form'),
+    searchInput: document.getElementById('search-input'),
+
+    // Tree view
+    fileTree: document.getElementById('file-tree'),
+
     // File list
     fileList: document.getElementById('file-list'),
     createFileBtn: document.getElementById('create-file-btn'),
@@ -39,7 +66,15 @@ export const UI = (function () {
     editorContainer: document.getElementById('editor-container'),
     editorFilename: document.getElementById('editor-filename'),
     editorStatus: document.getElementById('editor-status'),
+    editorMode: document.getElementById('editor-mode'),
     editor: document.getElementById('editor'),
+    editorBody: document.getElementById('editor-body'),
+    preview: document.getElementById('preview'),
+    viewToggle: document.getElementById('view-toggle'),
+    versionBanner: document.getElementById('version-banner'),
+    versionBannerText: document.getElementById('version-banner-text'),
+    versionRestoreBtn: document.getElementById('version-restore-btn'),
+    versionExitBtn: document.getElementById('version-exit-btn'),
     saveBtn: document.getElementById('save-btn'),
     deleteBtn: document.getElementById('delete-btn'),
 
@@ -48,6 +83,11 @@ export const UI = (function () {
     versionMenu: document.getElementById('version-menu'),
     versionList: document.getElementById('version-list'),
 
+    // Pull requests
+    pullsBtn: document.getElementById('pulls-btn'),
+    pullsMenu: document.getElementById('pulls-menu'),
+    pullsList: document.getElementById('pulls-list'),
+
     // Loading
     loadingOverlay: document.getElementById('loading-overlay'),
     loadingMessage: document.getElementById('loading-message'),
@@ -67,6 +107,28 @@ export const UI = (function () {
   // Event callbacks (set by app.js)
   let callbacks = {};
 
+  // Repository picker: the full list, and the number of matches rendered at once
+  const REPO_LIST_LIMIT = 100;
+  let repositories = [];
+  let selectedRepo = '';
+
+  // Unchanged lines shown around each change in the diff view
+  const DIFF_CONTEXT = 3;
+  let diffLayout = 'split'; // 'split' (side by side) or 'inline'
+
+  // Delay before re-rendering the Markdown preview while typing (ms)
+  const PREVIEW_DELAY = 150;
+  let previewTimer = null;
+
+  // The API quota is highlighted when less than this share of it is left
+  const RATE_LIMIT_LOW = 0.1;
+
+  // OAuth scopes of the current token (null when it has per-repository permissions)
+  let tokenScopes = null;
+
+  // Called when the open modal is closed (see showModal)
+  let modalCloseHandler = null;
+
   /**
    * Initialize UI event listeners
    * @param {Object} eventCallbacks - Object containing callback functions
@@ -75,8 +137,45 @@ export const UI = (function () {
     callbacks = eventCallbacks;
 
     // Login button
+    // All login methods get { remember } from the "Remember me" checkbox
     elements.loginBtn.addEventListener('click', () => {
-      if (callbacks.onLogin) callbacks.onLogin();
+      if (callbacks.onLogin) callbacks.onLogin({ remember: elements.rememberMe.checked });
+    });
+
+    // Login with the device flow
+    elements.deviceLoginBtn.addEventListener('click', () => {
+      if (callbacks.onDeviceLogin) callbacks.onDeviceLogin({ remember: elements.rememberMe.checked });
+    });
+
+    // Login with a personal access token
+    elements.tokenForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (callbacks.onTokenLogin) {
+        callbacks.onTokenLogin(elements.tokenInput.value, { remember: elements.rememberMe.checked });
+      }
+    });
+
+    // Back to the dashboard when adding an account is cancelled
+    elements.loginCancelBtn.addEventListener('click', () => {
+      if (callbacks.onCancelLogin) callbacks.onCancelLogin();
+    });
+
+    // Account switcher
+    elements.userInfo.addEventListener('click', (e) => {
+      e.stopPropagation();
+      elements.accountMenu.classList.toggle('hidden');
+    });
+
+    elements.accountList.addEventListener('click', (e) => {
+      const item = e.target.closest('li');
+      if (!item) return;
+
+      elements.accountMenu.classList.add('hidden');
+      if (item.dataset.action === 'add') {
+        if (callbacks.onAddAccount) callbacks.onAddAccount();
+      } else if (item.dataset.login && !item.classList.contains('active')) {
+        if (callbacks.onAccountSwitch) callbacks.onAccountSwitch(item.dataset.login);
+      }
     });
 
     // Logout button
@@ -84,11 +183,25 @@ export const UI = (function () {
       if (callbacks.onLogout) callbacks.onLogout();
     });
 
-    // Repository selection
-    elements.repoSelect.addEventListener('change', (e) => {
-      if (callbacks.onRepoSelect && e.target.value) {
-        callbacks.onRepoSelect(e.target.value);
-      }
+    // Repository picker
+    elements.repoPickerBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleRepoPicker(elements.repoPickerMenu.classList.contains('hidden'));
+    });
+
+    elements.repoPickerMenu.addEventListener('click', (e) => e.stopPropagation());
+    elements.repoSearch.addEventListener('input', renderRepoList);
+    elements.repoSearch.addEventListener('keydown', handleRepoSearchKey);
+
+    elements.repoAffiliation.addEventListener('change', (e) => {
+      if (callbacks.onRepoFilterChange) callbacks.onRepoFilterChange(e.target.value);
+    });
+
+    // Search
+    elements.searchForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const query = elements.searchInput.value.trim();
+      if (callbacks.onSearch && query) callbacks.onSearch(query);
     });
 
     // Create repository
@@ -96,6 +209,18 @@ export const UI = (function () {
       showCreateRepoModal();
     });
 
+    // Branch selection
+    elements.branchSelect.addEventListener('change', (e) => {
+      if (callbacks.onBranchSelect && e.target.value) {
+        callbacks.onBranchSelect(e.target.value);
+      }
+    });
+
+    // Create branch
+    elements.createBranchBtn.addEventListener('click', () => {
+      showCreateBranchModal();
+    });
+
     // Create folder
     elements.createFolderBtn.addEventListener('click', () => {
       showCreateFolderModal();
@@ -106,6 +231,34 @@ export const UI = (function () {
       showCreateFileModal();
     });
 
+    // Drag and drop upload into the current folder
+    elements.fileList.addEventListener('dragover', (e) => {
+      if (elements.createFileBtn.disabled || !e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      elements.fileList.classList.add('drag-over');
+    });
+
+    elements.fileList.addEventListener('dragleave', (e) => {
+      if (!elements.fileList.contains(e.relatedTarget)) {
+        elements.fileList.classList.remove('drag-over');
+      }
+    });
+
+    elements.fileList.addEventListener('drop', (e) => {
+      elements.fileList.classList.remove('drag-over');
+      if (elements.createFileBtn.disabled) return;
+      e.preventDefault();
+
+      // Folders can't be uploaded, only plain files
+      const files = Array.from(e.dataTransfer.items || [])
+        .filter((item) => item.kind === 'file' && !item.webkitGetAsEntry?.()?.isDirectory)
+        .map((item) => item.getAsFile())
+        .filter(Boolean);
+
+      if (files.length > 0 && callbacks.onUploadFiles) callbacks.onUploadFiles(files);
+    });
+
     // Refresh file list
     elements.refreshBtn.addEventListener('click', () => {
       if (callbacks.onRefresh) callbacks.onRefresh();
@@ -124,17 +277,89 @@ export const UI = (function () {
     // Editor changes
     elements.editor.addEventListener('input', () => {
       if (callbacks.onEditorChange) callbacks.onEditorChange();
+      schedulePreview();
+    });
+
+    // Edit / split / preview toggle (Markdown files)
+    elements.viewToggle.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-view]');
+      if (button) setEditorView(button.dataset.view);
+    });
+
+    // Keep the preview roughly in step with the editor in split view
+    elements.editor.addEventListener('scroll', () => {
+      if (elements.editorBody.dataset.view !== 'split') return;
+      const editorRange = elements.editor.scrollHeight - elements.editor.clientHeight;
+      const previewRange = elements.preview.scrollHeight - elements.preview.clientHeight;
+      if (editorRange > 0) {
+        elements.preview.scrollTop = (elements.editor.scrollTop / editorRange) * previewRange;
+      }
+    });
+
+    // Open links from the preview in a new tab, never in place of the app
+    elements.preview.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href]');
+      if (!link) return;
+      e.preventDefault();
+      if (!link.getAttribute('href').startsWith('#')) {
+        window.open(link.href, '_blank', 'noopener');
+      }
+    });
+
+    // Tab inserts indentation in modes that use it (YAML, JSON)
+    elements.editor.addEventListener('keydown', (e) => {
+      const indent = FileTypes.getModeInfo(elements.editor.dataset.mode).indent;
+      if (e.key !== 'Tab' || !indent || elements.editor.readOnly) return;
+      if (e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return;
+
+      e.preventDefault();
+      // execCommand keeps the browser's undo history intact
+      if (!document.execCommand('insertText', false, indent)) {
+        elements.editor.setRangeText(indent, elements.editor.selectionStart, elements.editor.selectionEnd, 'end');
+        if (callbacks.onEditorChange) callbacks.onEditorChange();
+      }
+    });
+
+    // Read-only historical version banner
+    elements.versionRestoreBtn.addEventListener('click', () => {
+      if (callbacks.onRestoreVersion) callbacks.onRestoreVersion(elements.versionBanner.dataset.sha);
+    });
+
+    elements.versionExitBtn.addEventListener('click', () => {
+      if (callbacks.onExitVersion) callbacks.onExitVersion();
     });
 
     // Version dropdown toggle
     elements.versionBtn.addEventListener('click', (e) => {
       e.stopPropagation();
+      elements.pullsMenu.classList.add('hidden');
       elements.versionMenu.classList.toggle('hidden');
     });
 
-    // Close version dropdown when clicking outside
+    // Load older versions when scrolling to the end of the history
+    elements.versionList.addEventListener('scroll', () => {
+      const list = elements.versionList;
+      if (list.scrollTop + list.clientHeight >= list.scrollHeight - 40) {
+        loadMoreHistory();
+      }
+    });
+
+    // Pull requests dropdown toggle
+    elements.pullsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      elements.versionMenu.classList.add('hidden');
+      elements.pullsMenu.classList.toggle('hidden');
+    });
+
+    // Let links inside the pull requests dropdown work without closing it first
+    elements.pullsMenu.addEventListener('click', (e) => e.stopPropagation());
+
+    // Close dropdowns when clicking outside
     document.addEventListener('click', () => {
       elements.versionMenu.classList.add('hidden');
+      elements.pullsMenu.classList.add('hidden');
+      elements.accountMenu.classList.add('hidden');
+      toggleRepoPicker(false);
     });
 
     // Modal close button
@@ -145,18 +370,30 @@ export const UI = (function () {
       if (e.target === elements.modalOverlay) hideModal();
     });
 
-    // Close modal on Escape key
+    // Close modal and context menu on Escape key
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') hideModal();
+      if (e.key === 'Escape') {
+        hideModal();
+        hideContextMenu();
+        toggleRepoPicker(false);
+      }
     });
+
+    // Close context menu when clicking anywhere or scrolling
+    document.addEventListener('click', hideContextMenu);
+    window.addEventListener('blur', hideContextMenu);
+    elements.fileList.addEventListener('scroll', hideContextMenu);
   }
 
   // ===== View Management =====
 
   /**
    * Show the login view
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.canCancel - Offer to go back to the dashboard (when adding another account)
    */
-  function showLoginView() {
+  function showLoginView(options = {}) {
+    elements.loginCancelBtn.classList.toggle('hidden', options.canCancel !== true);
     elements.loginView.classList.remove('hidden');
     elements.dashboardView.classList.add('hidden');
   }
@@ -167,6 +404,9 @@ export const UI = (function () {
   function showDashboardView() {
     elements.loginView.classList.add('hidden');
     elements.dashboardView.classList.remove('hidden');
+
+    // Don't keep a pasted token in the page
+    elements.tokenInput.value = '';
   }
 
   // ===== User Info =====
@@ -174,41 +414,271 @@ export const UI = (function () {
   /**
    * Display the authenticated user's information
    * @param {Object} user - User object with login and avatar_url
+   * @param {Object} options - Optional settings
+   * @param {Array<string>|null} options.scopes - OAuth scopes of the token (null if it has per-repository
+   *   permissions instead, like fine-grained tokens)
+   * @param {Array<Object>} options.accounts - Logged-in accounts for the switcher: { login, avatarUrl, isActive }
    */
-  function showUserInfo(user) {
+  function showUserInfo(user, options = {}) {
+    tokenScopes = options.scopes === undefined ? null : options.scopes;
+
     elements.userInfo.innerHTML = `
       <img src="${user.avatar_url}" alt="${user.login}">
       <span>${user.login}</span>
     `;
+    elements.userInfo.title = tokenScopes
+      ? `Token scopes: ${tokenScopes.join(', ') || 'none'}`
+      : 'Access is granted per repository';
+
+    renderAccounts(options.accounts || []);
+  }
+
+  /**
+   * Render the account switcher menu
+   * @param {Array<Object>} accounts - Logged-in accounts: { login, avatarUrl, isActive }
+   */
+  function renderAccounts(accounts) {
+    elements.accountList.innerHTML = '';
+
+    accounts.forEach((account) => {
+      const li = document.createElement('li');
+      li.className = `version-item account-item${account.isActive ? ' active' : ''}`;
+      li.dataset.login = account.login;
+      li.innerHTML = `
+        <img src="${escapeHtml(account.avatarUrl || '')}" alt="">
+        <span>${escapeHtml(account.login)}</span>
+        ${account.isActive ? '<span class="account-current">Current</span>' : ''}
+      `;
+      elements.accountList.appendChild(li);
+    });
+
+    const add = document.createElement('li');
+    add.className = 'version-item account-item account-add';
+    add.dataset.action = 'add';
+    add.textContent = 'Add Account...';
+    elements.accountList.appendChild(add);
+  }
+
+  /**
+   * Show the remaining GitHub API quota in the header
+   * @param {Object} status - { quota, waitingUntil } from RateLimit: quota is { limit, remaining, reset },
+   *   waitingUntil is set while requests are held back by a rate limit
+   */
+  function setRateLimit(status) {
+    const { quota, waitingUntil } = status;
+    const isLow = Boolean(waitingUntil) || (quota && quota.remaining < quota.limit * RATE_LIMIT_LOW);
+
+    elements.rateLimit.classList.toggle('hidden', !quota && !waitingUntil);
+    elements.rateLimit.classList.toggle('low', isLow);
+
+    if (waitingUntil) {
+      elements.rateLimit.textContent = 'Rate limited';
+      elements.rateLimit.title = `GitHub is limiting requests. Retrying at ${waitingUntil.toLocaleTimeString()}`;
+    } else if (quota) {
+      elements.rateLimit.textContent = `API ${quota.remaining}/${quota.limit}`;
+      elements.rateLimit.title = `GitHub API requests left until ${quota.reset.toLocaleTimeString()}`;
+    }
+  }
+
+  /**
+   * Show or hide the offline indicator in the header
+   * @param {boolean} isOffline - Whether the browser is offline
+   */
+  function setOfflineStatus(isOffline) {
+    elements.offlineIndicator.classList.toggle('hidden', !isOffline);
   }
 
   // ===== Repository Management =====
 
   /**
-   * Populate the repository dropdown
+   * Set the repositories shown in the repository picker
    * @param {Array} repos - Array of repository objects
+   * @param {Object} options - Optional settings
+   * @param {string} options.affiliation - Affiliation filter the list was loaded with
    */
-  function renderRepositories(repos) {
-    elements.repoSelect.innerHTML = '<option value="">Select a repository...</option>';
-    repos.forEach((repo) => {
-      const option = document.createElement('option');
-      option.value = repo.full_name;
-      option.textContent = repo.name + (repo.private ? ' (private)' : '');
-      elements.repoSelect.appendChild(option);
-    });
+  function renderRepositories(repos, options = {}) {
+    repositories = repos;
+    if (options.affiliation) {
+      elements.repoAffiliation.value = options.affiliation;
+    }
+    if (!elements.repoPickerMenu.classList.contains('hidden')) {
+      renderRepoList();
+    }
   }
 
   /**
-   * Select a repository in the dropdown
+   * Select a repository in the picker
    * @param {string} fullName - Full repository name (owner/repo)
    */
   function selectRepository(fullName) {
-    elements.repoSelect.value = fullName;
+    selectedRepo = fullName;
+    elements.repoPickerBtn.textContent = fullName || 'Select a repository...';
+    elements.searchInput.disabled = false;
     elements.createFolderBtn.disabled = false;
     elements.createFileBtn.disabled = false;
     elements.refreshBtn.disabled = false;
   }
 
+  /**
+   * Reset the sidebar to its state before a repository is selected (after switching accounts)
+   */
+  function clearRepository() {
+    selectedRepo = '';
+    elements.repoPickerBtn.textContent = 'Select a repository...';
+    elements.searchInput.disabled = true;
+    elements.createFolderBtn.disabled = true;
+    elements.createFileBtn.disabled = true;
+    elements.refreshBtn.disabled = true;
+    elements.branchSelect.innerHTML = '<option value="">Select a repository first</option>';
+    elements.branchSelect.disabled = true;
+    elements.createBranchBtn.disabled = true;
+    elements.breadcrumb.innerHTML = '<span class="breadcrumb-item">Select a repository</span>';
+    elements.fileTree.innerHTML = '<li class="file-list-empty">Select a repository to view its tree</li>';
+    elements.fileList.innerHTML = '<li class="file-list-empty">Select a repository to view files</li>';
+  }
+
+  /**
+   * Open or close the repository picker
+   * @param {boolean} open - Whether the picker should be open
+   */
+  function toggleRepoPicker(open) {
+    elements.repoPickerMenu.classList.toggle('hidden', !open);
+    elements.repoPickerBtn.setAttribute('aria-expanded', String(open));
+
+    if (open) {
+      elements.repoSearch.value = '';
+      renderRepoList();
+      elements.repoSearch.focus();
+    }
+  }
+
+  /**
+   * Render the repositories matching the search box
+   */
+  function renderRepoList() {
+    const query = elements.repoSearch.value.trim().toLowerCase();
+    const matches = repositories.filter(
+      (repo) =>
+        !query || repo.full_name.toLowerCase().includes(query) || (repo.description || '').toLowerCase().includes(query)
+    );
+
+    elements.repoList.innerHTML = '';
+
+    if (matches.length === 0) {
+      const empty = query ? 'No matching repositories' : 'No repositories';
+      elements.repoList.innerHTML = `<li class="repo-list-note">${empty}</li>`;
+      return;
+    }
+
+    matches.slice(0, REPO_LIST_LIMIT).forEach((repo) => {
+      const li = document.createElement('li');
+      li.className = 'repo-option';
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(repo.full_name === selectedRepo));
+      li.dataset.fullName = repo.full_name;
+
+      const visibility = repo.visibility || (repo.private ? 'private' : 'public');
+      const avatar = repo.owner.avatar_url;
+
+      li.innerHTML = `
+        <img class="repo-avatar" src="${escapeHtml(avatar)}${avatar.includes('?') ? '&' : '?'}s=40" alt="" loading="lazy">
+        <div class="repo-option-info">
+          <div class="repo-option-name">${escapeHtml(repo.full_name)}</div>
+          <div class="repo-option-meta">
+            <span class="repo-visibility">${escapeHtml(visibility)}</span>
+            <span>Updated ${formatDate(new Date(repo.updated_at))}</span>
+          </div>
+        </div>
+      `;
+
+      li.addEventListener('click', () => chooseRepository(repo.full_name));
+      li.addEventListener('mouseenter', () => highlightRepo(li));
+
+      elements.repoList.appendChild(li);
+    });
+
+    if (matches.length > REPO_LIST_LIMIT) {
+      const more = document.createElement('li');
+      more.className = 'repo-list-note';
+      more.textContent = `${matches.length - REPO_LIST_LIMIT} more - type to narrow the list`;
+      elements.repoList.appendChild(more);
+    }
+
+    highlightRepo(elements.repoList.querySelector('.repo-option'));
+  }
+
+  /**
+   * Highlight a repository in the picker (for keyboard selection)
+   * @param {HTMLElement} option - Repository list item
+   */
+  function highlightRepo(option) {
+    elements.repoList.querySelectorAll('.repo-option.highlighted').forEach((item) => {
+      item.classList.remove('highlighted');
+    });
+    if (option) {
+      option.classList.add('highlighted');
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Handle arrow keys and Enter in the repository search box
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  function handleRepoSearchKey(e) {
+    const options = Array.from(elements.repoList.querySelectorAll('.repo-option'));
+    const current = options.findIndex((option) => option.classList.contains('highlighted'));
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const next = e.key === 'ArrowDown' ? Math.min(current + 1, options.length - 1) : Math.max(current - 1, 0);
+      highlightRepo(options[next]);
+    } else if (e.key === 'Enter' && current !== -1) {
+      e.preventDefault();
+      chooseRepository(options[current].dataset.fullName);
+    }
+  }
+
+  /**
+   * Pick a repository from the picker
+   * @param {string} fullName - Full repository name (owner/repo)
+   */
+  function chooseRepository(fullName) {
+    toggleRepoPicker(false);
+    elements.repoPickerBtn.focus();
+    if (callbacks.onRepoSelect && fullName !== selectedRepo) {
+      callbacks.onRepoSelect(fullName);
+    }
+  }
+
+  // ===== Branch Management =====
+
+  /**
+   * Populate the branch dropdown
+   * @param {Array} branches - Array of branch objects ({ name })
+   * @param {string} currentBranch - Name of the selected branch
+   */
+  function renderBranches(branches, currentBranch) {
+    elements.branchSelect.innerHTML = '';
+    branches.forEach((branch) => {
+      const option = document.createElement('option');
+      option.value = branch.name;
+      option.textContent = branch.name;
+      elements.branchSelect.appendChild(option);
+    });
+    selectBranch(currentBranch);
+  }
+
+  /**
+   * Select a branch in the dropdown
+   * @param {string} branch - Branch name
+   */
+  function selectBranch(branch) {
+    elements.branchSelect.value = branch;
+    elements.branchSelect.disabled = false;
+    elements.createBranchBtn.disabled = false;
+  }
+
   // ===== Breadcrumb Navigation =====
 
   /**
@@ -271,18 +741,11 @@ export const UI = (function () {
     elements.fileList.innerHTML = '';
 
     if (!contents || contents.length === 0) {
-      elements.fileList.innerHTML = '<li class="file-list-empty">No files in this folder</li>';
+      elements.fileList.innerHTML = '<li class="file-list-empty">No files in this folder. Drop files here to upload.</li>';
       return;
     }
 
-    // Sort: folders first, then files alphabetically
-    const sorted = [...contents].sort((a, b) => {
-      if (a.type === 'dir' && b.type !== 'dir') return -1;
-      if (a.type !== 'dir' && b.type === 'dir') return 1;
-      return a.name.localeCompare(b.name);
-    });
-
-    sorted.forEach((item) => {
+    sortItems(contents).forEach((item) => {
       // Skip .gitkeep files (used to preserve empty folders)
       if (item.name === '.gitkeep') return;
 
@@ -310,43 +773,230 @@ export const UI = (function () {
       li.addEventListener('click', () => {
         if (item.type === 'dir') {
           if (callbacks.onNavigate) callbacks.onNavigate(item.path);
-        } else if (item.name.endsWith('.md')) {
-          if (callbacks.onFileSelect) callbacks.onFileSelect(item.path);
+        } else if (callbacks.onFileSelect) {
+          callbacks.onFileSelect(item.path);
         }
       });
 
-      // Delete button (only for .md files)
-      if (item.type === 'file' && item.name.endsWith('.md')) {
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'file-item-delete';
-        deleteBtn.innerHTML = getTrashIcon();
-        deleteBtn.title = 'Delete file';
-        deleteBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          if (callbacks.onFileDelete) callbacks.onFileDelete(item.path, item.sha);
-        });
-        li.appendChild(deleteBtn);
-      }
+      // Folders are deleted recursively, files one at a time
+      const requestDelete = () => {
+        if (item.type === 'dir') {
+          if (callbacks.onFolderDelete) callbacks.onFolderDelete(item.path);
+        } else if (callbacks.onFileDelete) {
+          callbacks.onFileDelete(item.path, item.sha);
+        }
+      };
+
+      // Context menu (right click)
+      li.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showContextMenu(e.clientX, e.clientY, [
+          { text: 'Rename / Move...', onClick: () => showMoveModal(item) },
+          { text: 'Delete...', className: 'danger', onClick: requestDelete },
+        ]);
+      });
+
+      // Delete button
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'file-item-delete';
+      deleteBtn.innerHTML = getTrashIcon();
+      deleteBtn.title = item.type === 'dir' ? 'Delete folder' : 'Delete file';
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requestDelete();
+      });
+      li.appendChild(deleteBtn);
 
       elements.fileList.appendChild(li);
     });
   }
 
+  // ===== Context Menu =====
+
+  /**
+   * Show a context menu at the given screen position
+   * @param {number} x - Horizontal position (clientX)
+   * @param {number} y - Vertical position (clientY)
+   * @param {Array} actions - Array of action configs: { text, className, onClick }
+   */
+  function showContextMenu(x, y, actions) {
+    hideContextMenu();
+
+    const menu = document.createElement('ul');
+    menu.className = 'context-menu';
+
+    actions.forEach((action) => {
+      const li = document.createElement('li');
+      li.className = `context-menu-item ${action.className || ''}`;
+      li.textContent = action.text;
+      li.addEventListener('click', (e) => {
+        e.stopPropagation();
+        hideContextMenu();
+        if (action.onClick) action.onClick();
+      });
+      menu.appendChild(li);
+    });
+
+    document.body.appendChild(menu);
+
+    // Keep the menu inside the viewport
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+  }
+
+  /**
+   * Hide the context menu, if open
+   */
+  function hideContextMenu() {
+    document.querySelectorAll('.context-menu').forEach((menu) => menu.remove());
+  }
+
+  // ===== Tree View =====
+
+  /**
+   * Render the collapsible repository tree
+   * Only expanded folders have their children rendered.
+   * @param {Array|null} items - Tree items from RepoTree (null if the tree couldn't be loaded)
+   * @param {Object} options - Rendering options
+   * @param {Set<string>} options.expanded - Paths of expanded folders
+   * @param {string} options.currentPath - Folder shown in the file list (to highlight)
+   * @param {string} options.currentFile - Path of currently open file (to highlight)
+   * @param {boolean} options.truncated - Whether GitHub returned only part of the tree
+   */
+  function renderTree(items, options = {}) {
+    elements.fileTree.innerHTML = '';
+
+    if (!items) {
+      elements.fileTree.innerHTML = '<li class="file-list-empty">Tree view is not available</li>';
+      return;
+    }
+
+    if (items.length === 0) {
+      elements.fileTree.innerHTML = '<li class="file-list-empty">This branch has no files yet</li>';
+      return;
+    }
+
+    const folders = RepoTree.groupByFolder(items);
+    const expanded = options.expanded || new Set();
+
+    const renderFolder = (folderPath, depth, container) => {
+      sortItems(folders.get(folderPath) || []).forEach((item) => {
+        // Skip .gitkeep files (used to preserve empty folders)
+        if (item.name === '.gitkeep') return;
+
+        const isDir = item.type === 'dir';
+        const isExpanded = isDir && expanded.has(item.path);
+
+        const li = document.createElement('li');
+        li.className = 'tree-item';
+
+        const row = document.createElement('div');
+        row.className = 'tree-row';
+        row.style.paddingLeft = `${depth * 12 + 4}px`;
+        row.title = item.path;
+
+        if (item.path === (isDir ? options.currentPath : options.currentFile)) {
+          row.classList.add('active');
+        }
+
+        // Expand/collapse toggle (folders only)
+        const caret = document.createElement('span');
+        caret.className = 'tree-caret';
+        if (isDir) {
+          caret.textContent = isExpanded ? '▾' : '▸';
+          caret.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (callbacks.onTreeToggle) callbacks.onTreeToggle(item.path);
+          });
+        }
+
+        const icon = document.createElement('span');
+        icon.className = 'file-item-icon';
+        icon.innerHTML = isDir ? getFolderIcon() : getFileIcon();
+
+        const name = document.createElement('span');
+        name.className = 'file-item-name';
+        name.textContent = item.name;
+
+        row.appendChild(caret);
+        row.appendChild(icon);
+        row.appendChild(name);
+
+        row.addEventListener('click', () => {
+          if (isDir) {
+            if (callbacks.onNavigate) callbacks.onNavigate(item.path);
+          } else if (callbacks.onFileSelect) {
+            callbacks.onFileSelect(item.path);
+          }
+        });
+
+        li.appendChild(row);
+
+        if (isExpanded) {
+          const children = document.createElement('ul');
+          children.className = 'tree-children';
+          renderFolder(item.path, depth + 1, children);
+          li.appendChild(children);
+        }
+
+        container.appendChild(li);
+      });
+    };
+
+    renderFolder('', 0, elements.fileTree);
+
+    if (options.truncated) {
+      const notice = document.createElement('li');
+      notice.className = 'file-list-empty';
+      notice.textContent = 'This repository is too large to show in full';
+      elements.fileTree.appendChild(notice);
+    }
+  }
+
   // ===== Editor =====
 
   /**
    * Show the editor with file content
+   * The editing mode (spell checking, wrapping, indentation) follows the file extension.
    * @param {string} filename - Name of the file
    * @param {string} content - File content
+   * @param {Object} options - Optional settings
+   * @param {Object} options.version - Historical version to show read-only: { sha, shortSha, message, date }
    */
-  function showEditor(filename, content) {
+  function showEditor(filename, content, options = {}) {
+    const mode = FileTypes.getMode(filename);
+    const modeInfo = FileTypes.getModeInfo(mode);
+    const { version = null } = options;
+
     elements.editorPlaceholder.classList.add('hidden');
     elements.editorContainer.classList.remove('hidden');
     elements.editorFilename.textContent = filename;
+    elements.editorMode.textContent = modeInfo.label;
+    elements.editor.dataset.mode = mode;
+    elements.editor.spellcheck = modeInfo.spellcheck;
+    elements.editor.wrap = modeInfo.wrap ? 'soft' : 'off';
+    elements.editor.placeholder = modeInfo.placeholder;
     elements.editor.value = content;
     elements.editorStatus.textContent = '';
-    elements.editorStatus.classList.remove('modified');
+    elements.editorStatus.classList.remove('modified', 'queued');
     elements.saveBtn.disabled = true;
+
+    // Historical versions are read-only so they can't be saved over the latest version by accident
+    elements.editor.readOnly = Boolean(version);
+    elements.versionBanner.classList.toggle('hidden', !version);
+    if (version) {
+      elements.versionBanner.dataset.sha = version.sha;
+      elements.versionBannerText.textContent =
+        `Viewing version ${version.shortSha} from ${formatDate(version.date)} ` +
+        `("${version.message.split('\n')[0]}"). This version is read-only.`;
+      elements.editorStatus.textContent = '(read-only)';
+    }
+
+    // Only Markdown files have a preview
+    elements.viewToggle.classList.toggle('hidden', mode !== 'markdown');
+    const view = mode === 'markdown' ? localStorage.getItem(CONFIG.STORAGE_KEYS.EDITOR_VIEW) || 'edit' : 'edit';
+    setEditorView(view, { remember: false });
   }
 
   /**
@@ -356,6 +1006,72 @@ export const UI = (function () {
     elements.editorPlaceholder.classList.remove('hidden');
     elements.editorContainer.classList.add('hidden');
     elements.editor.value = '';
+    elements.preview.innerHTML = '';
+  }
+
+  /**
+   * Switch between editing, split view and preview
+   * @param {string} view - 'edit', 'split' or 'preview'
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.remember - Save the choice for the next Markdown file (default: true)
+   */
+  function setEditorView(view, options = {}) {
+    const { remember = true } = options;
+
+    elements.editorBody.dataset.view = view;
+    elements.viewToggle.querySelectorAll('[data-view]').forEach((button) => {
+      button.classList.toggle('active', button.dataset.view === view);
+    });
+    if (remember) {
+      localStorage.setItem(CONFIG.STORAGE_KEYS.EDITOR_VIEW, view);
+    }
+
+    renderPreview();
+  }
+
+  /**
+   * Re-render the preview shortly after the user stops typing
+   */
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_DELAY);
+  }
+
+  /**
+   * Render the editor content into the preview pane (if it is visible)
+   * Relative links and images are resolved against the repository by the app.
+   */
+  function renderPreview() {
+    clearTimeout(previewTimer);
+    if (elements.editorBody.dataset.view === 'edit') return;
+
+    elements.preview.innerHTML = Markdown.render(elements.editor.value, {
+      resolveUrl: callbacks.onResolveUrl,
+    });
+  }
+
+  /**
+   * Scroll the editor to a line and select it
+   * @param {number} lineNumber - Line number (1-based)
+   */
+  function revealLine(lineNumber) {
+    if (elements.editorBody.dataset.view === 'preview') {
+      setEditorView('split', { remember: false });
+    }
+
+    const { value } = elements.editor;
+    const lines = value.split('\n');
+    const index = Math.min(Math.max(lineNumber, 1), lines.length) - 1;
+    const start = lines.slice(0, index).reduce((offset, line) => offset + line.length + 1, 0);
+
+    // Measure how far down the line is (including wrapped lines) by briefly cutting the text there
+    elements.editor.value = value.substring(0, start);
+    const top = elements.editor.scrollHeight;
+    elements.editor.value = value;
+
+    elements.editor.focus();
+    elements.editor.setSelectionRange(start, start + lines[index].length);
+    elements.editor.scrollTop = Math.max(0, top - elements.editor.clientHeight / 3);
   }
 
   /**
@@ -371,6 +1087,7 @@ export const UI = (function () {
    */
   function setEditorModified() {
     elements.editorStatus.textContent = '(unsaved changes)';
+    elements.editorStatus.classList.remove('queued');
     elements.editorStatus.classList.add('modified');
     elements.saveBtn.disabled = false;
   }
@@ -380,18 +1097,33 @@ export const UI = (function () {
    */
   function setEditorSaved() {
     elements.editorStatus.textContent = '(saved)';
-    elements.editorStatus.classList.remove('modified');
+    elements.editorStatus.classList.remove('modified', 'queued');
     elements.saveBtn.disabled = true;
   }
 
+  /**
+   * Mark the editor as saved on this device but not yet committed
+   * Saving stays enabled so the change can be committed by hand once online.
+   */
+  function setEditorQueued() {
+    elements.editorStatus.textContent = '(saved offline, not yet committed)';
+    elements.editorStatus.classList.remove('modified');
+    elements.editorStatus.classList.add('queued');
+    elements.saveBtn.disabled = false;
+  }
+
   // ===== Version History =====
 
   /**
    * Render the version history dropdown
    * @param {Array} commits - Array of commit objects
    * @param {string} currentSha - SHA of currently viewed version
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.hasMore - Whether older commits can be loaded
    */
-  function renderVersionHistory(commits, currentSha = null) {
+  function renderVersionHistory(commits, currentSha = null, options = {}) {
+    // Re-rendering empties the list, which would reset the scroll position
+    const scrollTop = elements.versionList.scrollTop;
     elements.versionList.innerHTML = '';
 
     if (!commits || commits.length === 0) {
@@ -407,21 +1139,103 @@ export const UI = (function () {
         li.classList.add('active');
       }
 
+      // Older commits from before a rename show the name the file had then
+      const renamed = commit.path !== commits[0].path;
+
       li.innerHTML = `
         <div class="version-message">${escapeHtml(commit.message.split('\n')[0])}</div>
         <div class="version-meta">
           <span>${formatDate(commit.date)}</span>
           <span>${commit.shortSha}</span>
+          ${renamed ? `<span class="version-path">as ${escapeHtml(commit.path)}</span>` : ''}
+        </div>
+        <div class="version-actions">
+          <button class="btn btn-secondary btn-small" data-action="view">View</button>
+          ${index > 0 ? '<button class="btn btn-secondary btn-small" data-action="restore">Restore</button>' : ''}
         </div>
       `;
 
-      li.addEventListener('click', () => {
-        if (callbacks.onVersionSelect) callbacks.onVersionSelect(commit.sha);
+      // Set through the DOM: escapeHtml doesn't escape quotes, which a path may contain
+      if (renamed) li.querySelector('.version-path').title = commit.path;
+
+      // Clicking the entry compares it with the editor; the buttons view it read-only or restore it
+      li.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]');
         elements.versionMenu.classList.add('hidden');
+
+        if (!action) {
+          if (callbacks.onVersionSelect) callbacks.onVersionSelect(commit.sha);
+        } else if (action.dataset.action === 'view') {
+          if (callbacks.onVersionView) callbacks.onVersionView(commit.sha);
+        } else if (callbacks.onRestoreVersion) {
+          callbacks.onRestoreVersion(commit.sha);
+        }
       });
 
       elements.versionList.appendChild(li);
     });
+
+    if (options.hasMore) {
+      const more = document.createElement('li');
+      more.className = 'version-item version-more';
+      more.textContent = 'Load older versions...';
+      more.addEventListener('click', (e) => {
+        // Keep the dropdown open while loading
+        e.stopPropagation();
+        loadMoreHistory();
+      });
+      elements.versionList.appendChild(more);
+    }
+
+    elements.versionList.scrollTop = scrollTop;
+  }
+
+  /**
+   * Ask the app for the next page of version history (if there is one)
+   */
+  function loadMoreHistory() {
+    const more = elements.versionList.querySelector('.version-more');
+    if (!more || more.classList.contains('loading')) return;
+
+    more.classList.add('loading');
+    more.textContent = 'Loading...';
+    if (callbacks.onLoadMoreHistory) callbacks.onLoadMoreHistory();
+  }
+
+  // ===== Pull Requests =====
+
+  /**
+   * Render the open pull requests that touch the current document
+   * @param {Array} pulls - Array of pull request summaries
+   */
+  function renderPullRequests(pulls) {
+    elements.pullsList.innerHTML = '';
+    elements.pullsBtn.textContent = pulls && pulls.length > 0 ? `Pull Requests (${pulls.length})` : 'Pull Requests';
+
+    if (!pulls || pulls.length === 0) {
+      elements.pullsList.innerHTML = '<li class="version-item">No open pull requests for this document</li>';
+      return;
+    }
+
+    pulls.forEach((pull) => {
+      const li = document.createElement('li');
+      li.className = 'version-item pull-item';
+
+      li.innerHTML = `
+        <div class="version-message">
+          <a href="${escapeHtml(pull.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(pull.title)}</a>
+        </div>
+        <div class="version-meta">
+          <span class="pull-status ${pull.draft ? 'draft' : 'open'}">${pull.draft ? 'Draft' : 'Open'}</span>
+          <span>#${pull.number}</span>
+          <span>${escapeHtml(pull.head)} → ${escapeHtml(pull.base)}</span>
+          <span>${escapeHtml(pull.author || '')}</span>
+          <span>${formatDate(pull.updatedAt)}</span>
+        </div>
+      `;
+
+      elements.pullsList.appendChild(li);
+    });
   }
 
   // ===== Loading =====
@@ -449,8 +1263,13 @@ export const UI = (function () {
    * @param {string} title - Modal title
    * @param {string} content - Modal content HTML
    * @param {Array} buttons - Array of button configs: { text, className, onClick }
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.wide - Use the wide modal layout (for side-by-side content)
+   * @param {Function} options.onClose - Called when the modal is closed (by a button, Escape or the overlay)
    */
-  function showModal(title, content, buttons = []) {
+  function showModal(title, content, buttons = [], options = {}) {
+    modalCloseHandler = options.onClose || null;
+    elements.modal.classList.toggle('modal-wide', options.wide === true);
     elements.modalTitle.textContent = title;
     elements.modalContent.innerHTML = content;
     elements.modalFooter.innerHTML = '';
@@ -477,14 +1296,56 @@ export const UI = (function () {
    */
   function hideModal() {
     elements.modalOverlay.classList.add('hidden');
+
+    const onClose = modalCloseHandler;
+    modalCloseHandler = null;
+    if (onClose) onClose();
+  }
+
+  /**
+   * Show the user code of a device flow login
+   * @param {Object} device - { userCode, verificationUri, expiresAt }
+   * @param {Function} onCancel - Called when the dialog is closed before the login completes
+   */
+  function showDeviceCode(device, onCancel) {
+    const url = escapeHtml(device.verificationUri);
+
+    showModal(
+      'Login with a Device Code',
+      `
+        <p>Open <a href="${url}" target="_blank" rel="noopener">${url}</a> and enter this code:</p>
+        <div class="device-code"><code>${escapeHtml(device.userCode)}</code></div>
+        <p class="device-code-waiting">
+          Waiting for you to authorize the app on GitHub. The code expires at ${device.expiresAt.toLocaleTimeString()}.
+        </p>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: 'Copy Code and Open GitHub',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            window.open(device.verificationUri, '_blank', 'noopener');
+            try {
+              await navigator.clipboard.writeText(device.userCode);
+              showToast('Code copied', 'success');
+            } catch (error) {
+              // Clipboard access can be denied (e.g. in webviews); the code is still shown
+            }
+          },
+        },
+      ],
+      { onClose: onCancel }
+    );
   }
 
   /**
    * Show create repository modal
    */
   function showCreateRepoModal() {
-    // Check if we can create private repos (requires 'repo' scope, not 'public_repo')
-    const canCreatePrivate = CONFIG.OAUTH_SCOPE === 'repo';
+    // Check if we can create private repos (requires 'repo' scope, not 'public_repo').
+    // Tokens without scopes have per-repository permissions; GitHub checks those itself.
+    const canCreatePrivate = tokenScopes === null || tokenScopes.includes('repo');
 
     showModal(
       'Create Repository',
@@ -524,6 +1385,38 @@ export const UI = (function () {
     );
   }
 
+  /**
+   * Show create branch modal
+   */
+  function showCreateBranchModal() {
+    const fromBranch = elements.branchSelect.value;
+
+    showModal(
+      'Create Branch',
+      `
+        <div class="form-group">
+          <label for="branch-name">Branch Name</label>
+          <input type="text" id="branch-name" class="input" placeholder="draft/my-changes">
+          <small style="color: #6a737d;">Created from <strong>${escapeHtml(fromBranch)}</strong></small>
+        </div>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: 'Create',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            const name = document.getElementById('branch-name').value.trim();
+            if (name && callbacks.onCreateBranch) {
+              hideModal();
+              await callbacks.onCreateBranch(name);
+            }
+          },
+        },
+      ]
+    );
+  }
+
   /**
    * Show create folder modal
    */
@@ -563,7 +1456,10 @@ export const UI = (function () {
         <div class="form-group">
           <label for="file-name">Document Name</label>
           <input type="text" id="file-name" class="input" placeholder="my-document">
-          <small style="color: #6a737d;">.md extension will be added automatically</small>
+          <small style="color: #6a737d;">
+            Add an extension for other file types (e.g. notes.txt, config.yml, data.json).
+            Without one, .md is added and the file is created as Markdown.
+          </small>
         </div>
       `,
       [
@@ -574,8 +1470,8 @@ export const UI = (function () {
           onClick: async () => {
             let name = document.getElementById('file-name').value.trim();
             if (name) {
-              // Add .md extension if not present
-              if (!name.endsWith('.md')) name += '.md';
+              // Default to Markdown when no extension is given
+              if (!FileTypes.getExtension(name)) name += '.md';
               if (callbacks.onCreateFile) {
                 hideModal();
                 await callbacks.onCreateFile(name);
@@ -588,9 +1484,54 @@ export const UI = (function () {
   }
 
   /**
-   * Show save file modal (for commit message)
+   * Show rename/move modal for a file or folder
+   * @param {Object} item - File list item ({ name, path, type })
+   */
+  function showMoveModal(item) {
+    const kind = item.type === 'dir' ? 'Folder' : 'File';
+
+    showModal(
+      `Rename / Move ${kind}`,
+      `
+        <div class="form-group">
+          <label for="move-path">New Path</label>
+          <input type="text" id="move-path" class="input">
+          <small style="color: #6a737d;">Change the name to rename, or the folders in the path to move.
+            ${item.type === 'dir' ? 'Everything inside the folder moves with it.' : ''}</small>
+        </div>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: 'Move',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            const newPath = document.getElementById('move-path').value.trim();
+            if (newPath && callbacks.onMovePath) {
+              hideModal();
+              await callbacks.onMovePath(item.path, newPath);
+            }
+          },
+        },
+      ]
+    );
+
+    // Set through the DOM: escapeHtml doesn't escape quotes, which a path may contain
+    const input = document.getElementById('move-path');
+    input.value = item.path;
+
+    // Preselect the name (without extension) so typing renames right away
+    const nameStart = item.path.length - item.name.length;
+    const extension = item.type === 'dir' ? -1 : item.name.lastIndexOf('.');
+    input.setSelectionRange(nameStart, extension > 0 ? nameStart + extension : item.path.length);
+  }
+
+  /**
+   * Show save file modal (for commit message and save mode)
    */
   function showSaveModal() {
+    const branch = elements.branchSelect.value;
+
     showModal(
       'Save Document',
       `
@@ -598,6 +1539,16 @@ export const UI = (function () {
           <label for="commit-message">Commit Message</label>
           <input type="text" id="commit-message" class="input" placeholder="Describe your changes">
         </div>
+        <div class="form-group save-modes">
+          <label>
+            <input type="radio" name="save-mode" value="commit" checked>
+            Commit directly to <strong>${escapeHtml(branch)}</strong>
+          </label>
+          <label>
+            <input type="radio" name="save-mode" value="propose">
+            Propose change: commit to a new branch and open a pull request
+          </label>
+        </div>
       `,
       [
         { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
@@ -606,9 +1557,10 @@ export const UI = (function () {
           className: 'btn btn-primary',
           onClick: async () => {
             const message = document.getElementById('commit-message').value.trim() || 'Update document';
+            const mode = elements.modalContent.querySelector('input[name="save-mode"]:checked').value;
             if (callbacks.onSaveFile) {
               hideModal();
-              await callbacks.onSaveFile(message);
+              await callbacks.onSaveFile(message, { propose: mode === 'propose' });
             }
           },
         },
@@ -639,6 +1591,432 @@ export const UI = (function () {
     );
   }
 
+  /**
+   * Show the conflict-resolution view after a save hit remote changes
+   * @param {Object} versions - { ours, theirs, merged, conflicts }
+   * @param {Object} handlers - { onResolve(content), onUseRemote() }
+   */
+  function showConflictView(versions, handlers) {
+    showModal(
+      'Resolve Conflicts',
+      `
+        <p class="conflict-summary">
+          This document was changed on GitHub while you were editing it.
+          ${versions.conflicts} conflicting ${versions.conflicts === 1 ? 'section needs' : 'sections need'} your attention.
+          Edit the merged result below and remove the conflict markers before saving.
+        </p>
+        <div class="conflict-panes">
+          <div class="conflict-pane">
+            <label>Your changes</label>
+            <textarea id="conflict-ours" class="editor conflict-editor" readonly></textarea>
+          </div>
+          <div class="conflict-pane">
+            <label>Remote changes</label>
+            <textarea id="conflict-theirs" class="editor conflict-editor" readonly></textarea>
+          </div>
+        </div>
+        <div class="conflict-pane">
+          <label for="conflict-merged">Merged result</label>
+          <textarea id="conflict-merged" class="editor conflict-editor conflict-merged"></textarea>
+        </div>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: 'Discard Mine, Use Remote',
+          className: 'btn btn-secondary',
+          onClick: async () => {
+            hideModal();
+            if (handlers.onUseRemote) await handlers.onUseRemote();
+          },
+        },
+        {
+          text: 'Save Merged',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            const merged = document.getElementById('conflict-merged').value;
+            if (/^(<{7}|={7}|>{7})( |$)/m.test(merged)) {
+              if (!confirm('The merged result still contains conflict markers. Save anyway?')) return;
+            }
+            hideModal();
+            if (handlers.onResolve) await handlers.onResolve(merged);
+          },
+        },
+      ],
+      { wide: true }
+    );
+
+    // Set through the DOM: in markup, the HTML parser drops a newline right after <textarea>
+    document.getElementById('conflict-ours').value = versions.ours;
+    document.getElementById('conflict-theirs').value = versions.theirs;
+    document.getElementById('conflict-merged').value = versions.merged;
+  }
+
+  /**
+   * Show the differences between two versions of the current document
+   * @param {Object} comparison - { versions, from, to, rows }: from/to are commit SHAs (null for the editor content),
+   *   rows come from Diff.compareLines
+   * @param {Object} handlers - { onCompare(fromSha, toSha), onViewVersion(sha), onRestoreVersion(sha) }
+   */
+  function showDiffView(comparison, handlers) {
+    const { versions, from, to, rows } = comparison;
+    const additions = rows.filter((row) => row.newLine !== null && row.type !== 'equal').length;
+    const deletions = rows.filter((row) => row.oldLine !== null && row.type !== 'equal').length;
+
+    const versionOptions = (selected) =>
+      [
+        `<option value=""${selected === null ? ' selected' : ''}>Current (editor)</option>`,
+        ...versions.map(
+          (version) =>
+            `<option value="${version.sha}"${version.sha === selected ? ' selected' : ''}>` +
+            `${version.shortSha} - ${escapeHtml(version.message.split('\n')[0])} (${formatDate(version.date)})</option>`
+        ),
+      ].join('');
+
+    // Offer to view or restore the historical side of the comparison
+    const selected = versions.find((version) => version.sha === (from || to));
+    const buttons = [{ text: 'Close', className: 'btn btn-secondary', onClick: hideModal }];
+    if (selected) {
+      buttons.push({
+        text: `View ${selected.shortSha}`,
+        className: 'btn btn-secondary',
+        onClick: async () => {
+          hideModal();
+          if (handlers.onViewVersion) await handlers.onViewVersion(selected.sha);
+        },
+      });
+      if (selected !== versions[0]) {
+        buttons.push({
+          text: `Restore ${selected.shortSha}`,
+          className: 'btn btn-primary',
+          onClick: async () => {
+            hideModal();
+            if (handlers.onRestoreVersion) await handlers.onRestoreVersion(selected.sha);
+          },
+        });
+      }
+    }
+
+    showModal(
+      'Compare Versions',
+      `
+        <div class="diff-toolbar">
+          <label>From <select id="diff-from" class="select">${versionOptions(from)}</select></label>
+          <label>To <select id="diff-to" class="select">${versionOptions(to)}</select></label>
+          <div class="view-toggle">
+            <button class="btn btn-secondary btn-small" data-layout="split">Side by Side</button>
+            <button class="btn btn-secondary btn-small" data-layout="inline">Inline</button>
+          </div>
+        </div>
+        <div class="diff-summary">
+          <span class="diff-additions">+${additions}</span>
+          <span class="diff-deletions">-${deletions}</span>
+        </div>
+        <div id="diff-output" class="diff-output"></div>
+      `,
+      buttons,
+      { wide: true }
+    );
+
+    const output = document.getElementById('diff-output');
+    const layoutButtons = elements.modalContent.querySelectorAll('[data-layout]');
+
+    const render = () => {
+      output.innerHTML = renderDiffTable(rows, diffLayout);
+      layoutButtons.forEach((button) => button.classList.toggle('active', button.dataset.layout === diffLayout));
+    };
+
+    layoutButtons.forEach((button) => {
+      button.addEventListener('click', () => {
+        diffLayout = button.dataset.layout;
+        render();
+      });
+    });
+
+    const compare = () => {
+      const fromSha = document.getElementById('diff-from').value || null;
+      const toSha = document.getElementById('diff-to').value || null;
+      if (handlers.onCompare) handlers.onCompare(fromSha, toSha);
+    };
+    document.getElementById('diff-from').addEventListener('change', compare);
+    document.getElementById('diff-to').addEventListener('change', compare);
+
+    render();
+  }
+
+  /**
+   * Render diff rows as an HTML table
+   * Long runs of unchanged lines are collapsed, keeping a few lines of context around each change.
+   * @param {Array<Object>} rows - Rows from Diff.compareLines
+   * @param {string} layout - 'split' (side by side) or 'inline'
+   * @returns {string} HTML
+   */
+  function renderDiffTable(rows, layout) {
+    if (!rows.some((row) => row.type !== 'equal')) {
+      return '<p class="diff-empty">No differences</p>';
+    }
+
+    // Mark the unchanged lines that are close enough to a change to be shown
+    const visible = rows.map((row) => row.type !== 'equal');
+    rows.forEach((row, index) => {
+      if (row.type === 'equal') return;
+      const end = Math.min(rows.length - 1, index + DIFF_CONTEXT);
+      for (let i = Math.max(0, index - DIFF_CONTEXT); i <= end; i++) visible[i] = true;
+    });
+
+    const columns = layout === 'split' ? 4 : 3;
+    const number = (value) => `<td class="diff-number">${value === null ? '' : value}</td>`;
+    const cell = (className, html) => `<td class="diff-line ${className}">${html}</td>`;
+
+    // Word-level highlighting for changed lines
+    const words = (row, side) =>
+      row.words
+        .filter((op) => op.type === 'equal' || op.type === side)
+        .map((op) => {
+          const text = escapeHtml(op.values.join(''));
+          if (op.type === 'equal') return text;
+          return op.type === 'delete' ? `<del>${text}</del>` : `<ins>${text}</ins>`;
+        })
+        .join('');
+    const oldHtml = (row) => (row.type === 'change' ? words(row, 'delete') : escapeHtml(row.oldLine));
+    const newHtml = (row) => (row.type === 'change' ? words(row, 'insert') : escapeHtml(row.newLine));
+
+    const html = [];
+    let hidden = 0;
+    rows.forEach((row, index) => {
+      if (!visible[index]) {
+        hidden++;
+        return;
+      }
+      if (hidden > 0) {
+        html.push(`<tr class="diff-skipped"><td colspan="${columns}">${hidden} unchanged lines</td></tr>`);
+        hidden = 0;
+      }
+
+      if (layout === 'split') {
+        const oldClass = row.type === 'equal' ? '' : row.oldLine === null ? 'diff-empty-line' : 'diff-delete';
+        const newClass = row.type === 'equal' ? '' : row.newLine === null ? 'diff-empty-line' : 'diff-insert';
+        html.push(
+          '<tr>' +
+            number(row.oldNumber) +
+            cell(oldClass, row.oldLine === null ? '' : oldHtml(row)) +
+            number(row.newNumber) +
+            cell(newClass, row.newLine === null ? '' : newHtml(row)) +
+            '</tr>'
+        );
+      } else if (row.type === 'equal') {
+        html.push(`<tr>${number(row.oldNumber)}${number(row.newNumber)}${cell('', escapeHtml(row.oldLine))}</tr>`);
+      } else {
+        if (row.oldLine !== null) {
+          html.push(`<tr>${number(row.oldNumber)}${number(null)}${cell('diff-delete', oldHtml(row))}</tr>`);
+        }
+        if (row.newLine !== null) {
+          html.push(`<tr>${number(null)}${number(row.newNumber)}${cell('diff-insert', newHtml(row))}</tr>`);
+        }
+      }
+    });
+    if (hidden > 0) {
+      html.push(`<tr class="diff-skipped"><td colspan="${columns}">${hidden} unchanged lines</td></tr>`);
+    }
+
+    return `<table class="diff-table diff-${layout}">${html.join('')}</table>`;
+  }
+
+  /**
+   * Show restore version confirmation modal
+   * @param {Object} version - Version to restore: { shortSha, message, date }
+   * @param {string} defaultMessage - Suggested commit message
+   * @param {boolean} hasUnsavedChanges - Whether the editor has changes that restoring will discard
+   * @param {Function} onConfirm - Called with the commit message when the user confirms
+   */
+  function showRestoreModal(version, defaultMessage, hasUnsavedChanges, onConfirm) {
+    showModal(
+      'Restore Version',
+      `
+        <p>Restore this document to version <strong>${version.shortSha}</strong> from ${formatDate(version.date)}?</p>
+        <p>A new commit will replace the latest content with this version. Later versions stay in the history.</p>
+        ${hasUnsavedChanges ? '<p style="color: #d73a49;">Your unsaved changes will be discarded.</p>' : ''}
+        <div class="form-group">
+          <label for="restore-message">Commit Message</label>
+          <input type="text" id="restore-message" class="input">
+        </div>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: 'Restore',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            const message = document.getElementById('restore-message').value.trim() || defaultMessage;
+            hideModal();
+            await onConfirm(message);
+          },
+        },
+      ]
+    );
+
+    // Set through the DOM: the message contains the file name, which may contain quotes
+    document.getElementById('restore-message').value = defaultMessage;
+  }
+
+  /**
+   * Offer to recover an unsaved draft of the open document
+   * @param {Object} draft - Draft { content, baseSha, savedAt }
+   * @param {Array<Object>} rows - Diff.compareLines rows from the current version to the draft
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.isOutdated - The draft was written against an older version of the document
+   * @param {Object} handlers - { onRestore, onDiscard }
+   */
+  function showDraftRecovery(draft, rows, options, handlers) {
+    const additions = rows.filter((row) => row.newLine !== null && row.type !== 'equal').length;
+    const deletions = rows.filter((row) => row.oldLine !== null && row.type !== 'equal').length;
+
+    showModal(
+      'Recover Unsaved Draft',
+      `
+        <p>Unsaved changes to this document were kept as a draft (last updated ${formatDate(draft.savedAt)}).</p>
+        ${
+          options.isOutdated
+            ? '<p>The document has changed since the draft was written. ' +
+              'Restoring it merges your edits with the newer version when you save.</p>'
+            : ''
+        }
+        <div class="diff-summary">
+          <span class="diff-additions">+${additions}</span>
+          <span class="diff-deletions">-${deletions}</span>
+          <button id="draft-diff-toggle" class="btn btn-secondary btn-small">Compare with Current Version</button>
+        </div>
+        <div id="diff-output" class="diff-output hidden"></div>
+      `,
+      [
+        {
+          text: 'Discard Draft',
+          className: 'btn btn-secondary',
+          onClick: () => {
+            hideModal();
+            handlers.onDiscard();
+          },
+        },
+        {
+          text: 'Restore Draft',
+          className: 'btn btn-primary',
+          onClick: async () => {
+            hideModal();
+            await handlers.onRestore();
+          },
+        },
+      ],
+      { wide: true }
+    );
+
+    const output = document.getElementById('diff-output');
+    document.getElementById('draft-diff-toggle').addEventListener('click', (e) => {
+      if (!output.innerHTML) output.innerHTML = renderDiffTable(rows, diffLayout);
+      output.classList.toggle('hidden');
+      e.target.textContent = output.classList.contains('hidden') ? 'Compare with Current Version' : 'Hide Changes';
+    });
+  }
+
+  /**
+   * Show full-text search results
+   * @param {string} query - Search query
+   * @param {Array<Object>} results - Results { path, name, snippets }, snippets are { line, text, ranges }
+   * @param {Object} options - Optional settings
+   * @param {string} options.source - 'github' (code search) or 'local' (the browser's index)
+   */
+  function showSearchResults(query, results, options = {}) {
+    const source = options.source === 'github' ? 'GitHub code search' : 'the local index of this branch';
+
+    // Escape the snippet text, wrapping the matched ranges in <mark>
+    const highlight = (text, ranges) => {
+      let html = '';
+      let position = 0;
+      ranges.forEach(([start, end]) => {
+        if (start < position) return;
+        html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+      });
+      return html + escapeHtml(text.slice(position));
+    };
+
+    const items = results.map(
+      (result) => `
+        <li class="search-result">
+          <button class="search-result-path">${escapeHtml(result.path)}</button>
+          ${result.snippets
+            .map(
+              (snippet) => `
+                <button class="search-snippet" data-line="${snippet.line || ''}">
+                  ${snippet.line ? `<span class="search-line">${snippet.line}</span>` : ''}
+                  <code>${highlight(snippet.text, snippet.ranges)}</code>
+                </button>
+              `
+            )
+            .join('')}
+        </li>
+      `
+    );
+
+    showModal(
+      'Search Results',
+      `
+        <p class="search-summary">
+          ${results.length} ${results.length === 1 ? 'file matches' : 'files match'}
+          "<strong>${escapeHtml(query)}</strong>" (from ${source})
+        </p>
+        ${results.length > 0 ? `<ul class="search-results">${items.join('')}</ul>` : ''}
+      `,
+      [{ text: 'Close', className: 'btn btn-secondary', onClick: hideModal }],
+      { wide: true }
+    );
+
+    // Paths are taken from the results rather than the markup: escapeHtml doesn't escape quotes
+    elements.modalContent.querySelectorAll('.search-result').forEach((item, index) => {
+      item.querySelectorAll('button').forEach((button) => {
+        button.addEventListener('click', () => {
+          hideModal();
+          const line = button.dataset.line ? Number(button.dataset.line) : null;
+          if (callbacks.onSearchResultSelect) callbacks.onSearchResultSelect(results[index].path, line, query);
+        });
+      });
+    });
+  }
+
+  /**
+   * Show recursive folder delete confirmation modal
+   * @param {string} folderPath - Path of the folder
+   * @param {Array<string>} filePaths - Paths of every file that will be removed
+   * @param {Function} onConfirm - Called when the user confirms
+   */
+  function showDeleteFolderModal(folderPath, filePaths, onConfirm) {
+    const shown = filePaths.slice(0, 10);
+    const remaining = filePaths.length - shown.length;
+
+    showModal(
+      'Delete Folder',
+      `
+        <p>Are you sure you want to delete "<strong>${escapeHtml(folderPath.split('/').pop())}</strong>" and everything in it?</p>
+        <p><strong>${filePaths.length} ${filePaths.length === 1 ? 'file' : 'files'}</strong> will be removed in a single commit:</p>
+        <ul class="delete-file-list">
+          ${shown.map((path) => `<li>${escapeHtml(path)}</li>`).join('')}
+          ${remaining > 0 ? `<li>...and ${remaining} more</li>` : ''}
+        </ul>
+        <p style="color: #d73a49;">This action cannot be undone.</p>
+      `,
+      [
+        { text: 'Cancel', className: 'btn btn-secondary', onClick: hideModal },
+        {
+          text: `Delete ${filePaths.length} ${filePaths.length === 1 ? 'File' : 'Files'}`,
+          className: 'btn btn-danger',
+          onClick: async () => {
+            hideModal();
+            await onConfirm();
+          },
+        },
+      ]
+    );
+  }
+
   // ===== Toast Notifications =====
 
   /**
@@ -669,6 +2047,19 @@ export const UI = (function () {
 
   // ===== Helper Functions =====
 
+  /**
+   * Sort file/folder items: folders first, then alphabetically
+   * @param {Array} items - Items with name and type
+   * @returns {Array} New sorted array
+   */
+  function sortItems(items) {
+    return [...items].sort((a, b) => {
+      if (a.type === 'dir' && b.type !== 'dir') return -1;
+      if (a.type !== 'dir' && b.type === 'dir') return 1;
+      return a.name.localeCompare(b.name);
+    });
+  }
+
   /**
    * Escape HTML to prevent XSS
    * @param {string} text - Text to escape
@@ -733,20 +2124,37 @@ export const UI = (function () {
     showLoginView,
     showDashboardView,
     showUserInfo,
+    clearRepository,
+    setRateLimit,
+    setOfflineStatus,
     renderRepositories,
     selectRepository,
+    renderBranches,
+    selectBranch,
     renderBreadcrumb,
     renderFileList,
+    renderTree,
     showEditor,
     hideEditor,
     getEditorContent,
+    revealLine,
     setEditorModified,
     setEditorSaved,
+    setEditorQueued,
     renderVersionHistory,
+    renderPullRequests,
     showLoading,
     hideLoading,
     showModal,
     hideModal,
+    showDeviceCode,
+    showContextMenu,
+    showConflictView,
+    showDiffView,
+    showRestoreModal,
+    showDraftRecovery,
+    showSearchResults,
+    showDeleteFolderModal,
     showToast,
   };
 })();
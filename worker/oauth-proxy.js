@@ -5,6 +5,14 @@
  * GitHub doesn't include CORS headers in their response, which prevents
  * browser-based applications from making direct requests.
  *
+ * ROUTES:
+ * - POST /         Exchange an authorization code for a token ({ code, client_id, code_verifier, redirect_uri })
+ * - POST /refresh  Exchange a refresh token for a new token ({ refresh_token, client_id }), for
+ *                  GitHub Apps with expiring user tokens
+ * - POST /device/code   Start a device flow login ({ client_id, scope }); returns the user code to show
+ * - POST /device/token  Poll for the device flow token ({ client_id, device_code }); returns
+ *                       authorization_pending until the user has entered the code on GitHub
+ *
  * SECURITY:
  * - Validates the Origin header to ensure only requests from your GitHub Pages domain are accepted
  * - Stores the client_secret securely as an environment variable (not in browser code)
@@ -32,6 +40,9 @@ const ALLOWED_ORIGINS = [
   // Add additional origins if needed (e.g., for local development):
   // 'http://localhost:3000',
   // 'http://127.0.0.1:5500',
+  // Pages opened from file:// send the origin 'null'. It is only accepted on the
+  // /device/* routes, since any sandboxed page can send it too:
+  // 'null',
 ];
 
 // =============================================================================
@@ -39,6 +50,7 @@ const ALLOWED_ORIGINS = [
 // =============================================================================
 
 const GITHUB_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+const GITHUB_DEVICE_CODE_URL = 'https://github.com/login/device/code';
 
 /**
  * Handle incoming requests
@@ -62,8 +74,7 @@ export default {
     }
 
     // Validate origin
-    const origin = request.headers.get('Origin');
-    if (!isOriginAllowed(origin)) {
+    if (!isOriginAllowed(request)) {
       return new Response(JSON.stringify({
         error: 'Origin not allowed',
         message: 'This worker only accepts requests from configured origins. Check ALLOWED_ORIGINS in the worker code.'
@@ -94,6 +105,17 @@ export default {
       // Parse the request body
       const body = await request.json();
 
+      const { pathname } = new URL(request.url);
+      if (pathname === '/refresh') {
+        return await handleRefresh(request, body, clientSecret);
+      }
+      if (pathname === '/device/code') {
+        return await handleDeviceCode(request, body);
+      }
+      if (pathname === '/device/token') {
+        return await handleDeviceToken(request, body);
+      }
+
       // Validate required fields
       const { code, client_id, code_verifier, redirect_uri } = body;
 
@@ -123,42 +145,7 @@ export default {
         githubParams.append('code_verifier', code_verifier);
       }
 
-      // Make request to GitHub's token endpoint
-      const githubResponse = await fetch(GITHUB_TOKEN_URL, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: githubParams.toString(),
-      });
-
-      // Get the response from GitHub
-      const githubData = await githubResponse.json();
-
-      // Check for errors from GitHub
-      if (githubData.error) {
-        return new Response(JSON.stringify({
-          error: githubData.error,
-          error_description: githubData.error_description,
-        }), {
-          status: 400,
-          headers: {
-            'Content-Type': 'application/json',
-            ...getCORSHeaders(request),
-          },
-        });
-      }
-
-      // Return the successful response with CORS headers
-      return new Response(JSON.stringify(githubData), {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getCORSHeaders(request),
-        },
-      });
-
+      return await requestToken(request, githubParams);
     } catch (error) {
       // Handle any errors
       return new Response(JSON.stringify({
@@ -176,11 +163,138 @@ export default {
 };
 
 /**
- * Check if the origin is in the allowed list
+ * Send a token request to GitHub and pass the response back with CORS headers
+ * Defaults to the token endpoint; the device flow also uses the device code endpoint.
+ */
+async function requestToken(request, githubParams, url = GITHUB_TOKEN_URL) {
+  // Make request to GitHub's token endpoint
+  const githubResponse = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: githubParams.toString(),
+  });
+
+  // Get the response from GitHub
+  const githubData = await githubResponse.json();
+
+  // Check for errors from GitHub
+  if (githubData.error) {
+    return new Response(JSON.stringify({
+      error: githubData.error,
+      error_description: githubData.error_description,
+      // Sent with slow_down while polling in the device flow
+      interval: githubData.interval,
+    }), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders(request),
+      },
+    });
+  }
+
+  // Return the successful response with CORS headers
+  return new Response(JSON.stringify(githubData), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getCORSHeaders(request),
+    },
+  });
+}
+
+/**
+ * Exchange a refresh token for a new access token (and a new refresh token)
+ * Only GitHub Apps with expiring user tokens hand out refresh tokens.
+ */
+async function handleRefresh(request, body, clientSecret) {
+  const { refresh_token, client_id } = body;
+
+  if (!refresh_token || !client_id) {
+    return new Response(JSON.stringify({
+      error: 'Missing required fields',
+      message: 'Request must include: refresh_token, client_id'
+    }), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders(request),
+      },
+    });
+  }
+
+  return requestToken(request, new URLSearchParams({
+    client_id,
+    client_secret: clientSecret,
+    grant_type: 'refresh_token',
+    refresh_token,
+  }));
+}
+
+/**
+ * Request a device code and the user code to show for the device flow
+ * The device flow needs no client_secret; the worker is only needed for CORS.
+ */
+async function handleDeviceCode(request, body) {
+  const { client_id, scope } = body;
+
+  if (!client_id) {
+    return new Response(JSON.stringify({
+      error: 'Missing required fields',
+      message: 'Request must include: client_id'
+    }), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders(request),
+      },
+    });
+  }
+
+  return requestToken(request, new URLSearchParams({
+    client_id,
+    scope: scope || '',
+  }), GITHUB_DEVICE_CODE_URL);
+}
+
+/**
+ * Poll for the token of a device flow login
+ * Errors like authorization_pending and slow_down are passed on for the app to handle.
  */
-function isOriginAllowed(origin) {
-  if (!origin) return false;
-  return ALLOWED_ORIGINS.some(allowed => origin.startsWith(allowed));
+async function handleDeviceToken(request, body) {
+  const { client_id, device_code } = body;
+
+  if (!client_id || !device_code) {
+    return new Response(JSON.stringify({
+      error: 'Missing required fields',
+      message: 'Request must include: client_id, device_code'
+    }), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getCORSHeaders(request),
+      },
+    });
+  }
+
+  return requestToken(request, new URLSearchParams({
+    client_id,
+    device_code,
+    grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+  }));
+}
+
+/**
+ * Check if the request's origin is in the allowed list (exact match)
+ * The 'null' origin is only allowed for the device flow routes.
+ */
+function isOriginAllowed(request) {
+  const origin = request.headers.get('Origin');
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return false;
+  return origin !== 'null' || new URL(request.url).pathname.startsWith('/device/');
 }
 
 /**
@@ -190,7 +304,7 @@ function getCORSHeaders(request) {
   const origin = request.headers.get('Origin');
 
   // Only set Access-Control-Allow-Origin if the origin is allowed
-  if (isOriginAllowed(origin)) {
+  if (isOriginAllowed(request)) {
     return {
       'Access-Control-Allow-Origin': origin,
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
@@ -206,9 +320,7 @@ function getCORSHeaders(request) {
  * Handle CORS preflight requests
  */
 function handleCORS(request) {
-  const origin = request.headers.get('Origin');
-
-  if (!isOriginAllowed(origin)) {
+  if (!isOriginAllowed(request)) {
     return new Response(null, { status: 403 });
   }
 